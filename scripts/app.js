@@ -3,23 +3,35 @@
    Triple-A Gaming Studio Website Experience
    ============================================ */
 
+// Theme toggle: name and icon for each ThemeEngine preference
+const THEME_LABELS = Object.freeze({
+    system: 'System',
+    dark: 'Dark',
+    light: 'Light',
+    'high-contrast': 'High Contrast'
+});
+
+const THEME_ICONS = Object.freeze({
+    // Monitor
+    system: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="2" y="3" width="20" height="14" rx="2" ry="2"></rect><line x1="8" y1="21" x2="16" y2="21"></line><line x1="12" y1="17" x2="12" y2="21"></line></svg>`,
+    // Moon
+    dark: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>`,
+    // Sun
+    light: `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>`,
+    // Half-filled circle
+    'high-contrast': `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="9"></circle><path d="M12 3a9 9 0 0 1 0 18z" fill="currentColor"></path></svg>`
+});
+
 class SoulstickApp {
     constructor() {
         this.isInitialized = false;
         this.loadingScreen = null;
-        this.emberCursor = null;
-        this.webglAtmosphere = null;
-        this.scrollSync = null;
         this.startTime = performance.now();
         this.isDebugMode = false;
 
-        // System states
-        this.systems = {
-            webgl: false,
-            cursor: false,
-            scroll: false,
-            audio: false
-        };
+        // Every effect registers here; lifecycle, health and pausing are driven by the registry
+        this.registry = new SystemRegistry();
+        this.registerSystems();
 
         // Performance monitoring
         this.metrics = {
@@ -31,12 +43,51 @@ class SoulstickApp {
         this.init();
     }
 
+    // System accessors (instances live in the registry)
+    get webglAtmosphere() {
+        return this.registry.get('webgl');
+    }
+
+    get emberCursor() {
+        return this.registry.get('cursor');
+    }
+
+    get scrollSync() {
+        return this.registry.get('scroll');
+    }
+
+    get qualityGovernor() {
+        return this.registry.get('quality');
+    }
+
+    get motionPreference() {
+        return this.registry.get('motion');
+    }
+
+    get themeEngine() {
+        return this.registry.get('theme');
+    }
+
+    get notificationManager() {
+        return this.registry.get('notifications');
+    }
+
+    // System states
+    get systems() {
+        const systems = {};
+        Object.entries(this.registry.getStatus()).forEach(([name, state]) => {
+            systems[name] = state === 'ready';
+        });
+
+        // Which renderer the atmosphere ended up on: webgl2, webgl1, canvas2d or css
+        systems.atmosphereBackend = this.webglAtmosphere ? this.webglAtmosphere.getBackend() : null;
+        return systems;
+    }
+
     async init() {
         console.log('🎮 Initializing Soulstick Interactive Experience...');
 
-        // CHECK THEME PREFERENCE IMMEDIATELY (Before Render)
-        // This prevents flash of wrong theme
-        this.initTheme();
+        // Theme is applied before first paint by the inline <head> script (see ThemeEngine)
 
         // Show loading screen
         this.showLoadingScreen();
@@ -47,9 +98,6 @@ class SoulstickApp {
         // Setup interactions
         this.setupInteractions();
 
-        // Setup performance monitoring
-        this.setupPerformanceMonitoring();
-
         // Hide loading screen and reveal content
         await this.startExperience();
 
@@ -60,14 +108,6 @@ class SoulstickApp {
         console.log(`✨ Soulstick Experience ready in ${Math.round(this.metrics.loadTime)}ms`);
     }
 
-    initTheme() {
-        const savedTheme = localStorage.getItem('soulstick-theme');
-        // Default is dark (handled by CSS defaults), only apply light if saved
-        if (savedTheme === 'light') {
-            document.documentElement.setAttribute('data-theme', 'light');
-        }
-    }
-
     showLoadingScreen() {
         this.loadingScreen = document.getElementById('loading-overlay');
         if (this.loadingScreen) {
@@ -76,25 +116,88 @@ class SoulstickApp {
         }
     }
 
-    async initializeSystems() {
-        const systems = [];
-
-        // Initialize WebGL atmosphere (background)
-        systems.push(this.initializeWebGL());
-
-        // Initialize ember cursor system
-        systems.push(this.initializeEmberCursor());
-
-        // Initialize scroll synchronization
-        systems.push(this.initializeScrollSync());
-
-        // Initialize audio system (DISABLED)
-        // systems.push(this.initializeAudio());
-        this.systems.audio = false; // Audio disabled but logic preserved
+    registerSystems() {
+        this.registry
+            // Reduced-motion preference (first, so no system starts animating against it)
+            .register('motion', {
+                isSupported: () => !!window.MotionPreference,
+                init: () => new MotionPreference(),
+                global: 'motionPreference'
+            })
+            // Theme preference, OS color scheme and cross-tab sync
+            .register('theme', {
+                isSupported: () => !!window.ThemeEngine,
+                init: () => new ThemeEngine(),
+                global: 'themeEngine'
+            })
+            // Toasts (early, so systems can report while the rest start)
+            .register('notifications', {
+                isSupported: () => !!window.NotificationManager,
+                init: () => new NotificationManager(),
+                global: 'notificationManager'
+            })
+            // Adaptive quality governor (so every system starts at the right tier)
+            .register('quality', {
+                isSupported: () => !!window.QualityGovernor,
+                init: () => new QualityGovernor(),
+                global: 'qualityGovernor'
+            })
+            // WebGL atmosphere (background)
+            .register('webgl', {
+                isSupported: () => !!window.WebGLAtmosphere && !!document.getElementById('webgl-atmosphere'),
+                init: () => new WebGLAtmosphere(),
+                global: 'webglAtmosphere'
+            })
+            // Ember cursor system
+            .register('cursor', {
+                isSupported: () => !!window.EmberCursor,
+                init: () => new EmberCursor(),
+                pause: (cursor) => cursor.pause(),
+                resume: (cursor) => cursor.resume(),
+                global: 'emberCursor'
+            })
+            // Magnetic buttons and links
+            .register('magnetic', {
+                isSupported: () => !!window.MagneticElements,
+                init: () => new MagneticElements(),
+                global: 'magneticElements'
+            })
+            // Scroll synchronization
+            .register('scroll', {
+                isSupported: () => !!window.ScrollSync,
+                init: () => new ScrollSync(),
+                global: 'scrollSync'
+            })
+            // Floating squares background
+            .register('squares', {
+                isSupported: () => !!window.FloatingSquares && !!document.querySelector('.floating-squares'),
+                init: () => new FloatingSquares(),
+                global: 'floatingSquares'
+            })
+            // Proximity lighting, reveals, ambient particles, mobile menu
+            .register('polish', {
+                isSupported: () => !!window.TripleAPolish,
+                init: () => new TripleAPolish(),
+                pause: (polish) => polish.pauseAnimations(),
+                resume: (polish) => polish.resumeAnimations(),
+                global: 'tripleAPolish'
+            })
+            // Contact and newsletter forms (declared with data-form)
+            .register('forms', {
+                isSupported: () => !!window.FormController && !!document.querySelector(FORM_CONTROLLER_CONFIG.selector),
+                init: () => new FormController(window.formSubmitter),
+                global: 'formController'
+            })
+            // Audio system (DISABLED - logic preserved)
+            .register('audio', {
+                enabled: false,
+                init: () => this.initializeAudio()
+            });
+    }
 
-        // Wait for all systems to initialize
+    async initializeSystems() {
         try {
-            await Promise.allSettled(systems);
+            await this.registry.initAll();
         } catch (error) {
             console.warn('Some systems failed to initialize:', error);
         }
@@ -103,65 +206,15 @@ class SoulstickApp {
         this.checkSystemHealth();
     }
 
-    async initializeWebGL() {
-        return new Promise((resolve) => {
-            try {
-                this.webglAtmosphere = new WebGLAtmosphere();
-                this.systems.webgl = true;
-                window.webglAtmosphere = this.webglAtmosphere;
-                console.log('🌌 WebGL atmosphere initialized');
-                resolve();
-            } catch (error) {
-                console.warn('WebGL initialization failed:', error);
-                this.systems.webgl = false;
-                resolve();
-            }
-        });
-    }
-
-    async initializeEmberCursor() {
-        return new Promise((resolve) => {
-            try {
-                this.emberCursor = new EmberCursor();
-                this.systems.cursor = true;
-                window.emberCursor = this.emberCursor;
-                console.log('🔥 Ember cursor initialized');
-                resolve();
-            } catch (error) {
-                console.warn('Ember cursor initialization failed:', error);
-                this.systems.cursor = false;
-                resolve();
-            }
-        });
-    }
-
-    async initializeScrollSync() {
-        return new Promise((resolve) => {
-            try {
-                this.scrollSync = new ScrollSync();
-                this.systems.scroll = true;
-                window.scrollSync = this.scrollSync;
-                console.log('📜 Scroll sync initialized');
-                resolve();
-            } catch (error) {
-                console.warn('Scroll sync initialization failed:', error);
-                this.systems.scroll = false;
-                resolve();
-            }
-        });
-    }
-
     async initializeAudio() {
         // AUDIO DISABLED - Logic preserved but not executed
         return new Promise((resolve) => {
             try {
                 // this.setupAudioContext(); // Disabled
-                this.systems.audio = false; // Permanently disabled
                 console.log('🔇 Audio system disabled (logic preserved)');
                 resolve();
             } catch (error) {
                 console.warn('Audio initialization failed:', error);
-                this.systems.audio = false;
                 resolve();
             }
         });
@@ -208,60 +261,39 @@ class SoulstickApp {
 
     setupInteractions() {
         this.setupNavigationClicks();
-        this.setupThemeToggle(); // NEW: Light/Dark Mode
-        this.setupMagneticElements();
+        this.setupThemeToggle();
         this.setupScrollToLinks();
-        this.setupFormSubmissions();
         this.setupKeyboardShortcuts();
         this.setupMobileOptimizations();
     }
 
     setupThemeToggle() {
         const toggleBtn = document.getElementById('theme-toggle');
+        if (!toggleBtn || !this.themeEngine) return;
 
-        // Initial Icon State
-        const currentTheme = localStorage.getItem('soulstick-theme') || 'dark';
-        this.updateThemeIcon(currentTheme === 'light');
-
-        if (!toggleBtn) return; // Guard clause if button not in DOM yet
+        // The icon follows every change, including ones made in other tabs
+        soulstickBus.on(SoulstickEvents.THEME_CHANGE, ({ preference }) => {
+            this.updateThemeIcon(preference);
+        }, { replay: true });
 
         toggleBtn.addEventListener('click', () => {
-            const isLight = document.documentElement.getAttribute('data-theme') === 'light';
-            const newTheme = isLight ? 'dark' : 'light';
-
-            // Toggle Attribute
-            if (newTheme === 'light') {
-                document.documentElement.setAttribute('data-theme', 'light');
-            } else {
-                document.documentElement.removeAttribute('data-theme');
-            }
-
-            // Save Preference
-            localStorage.setItem('soulstick-theme', newTheme);
-
-            // Update UI
-            this.updateThemeIcon(newTheme === 'light');
-
-            // Feedback
-            const themeName = newTheme === 'light' ? 'Light' : 'Dark';
-            this.showNotification(`${themeName} Mode Activated`, 'info');
+            const preference = this.themeEngine.cycle();
+            // Keyed, so clicking through the themes updates one toast instead of stacking
+            this.showNotification(`${THEME_LABELS[preference]} theme`, 'info', { key: 'theme' });
         });
     }
 
-    updateThemeIcon(isLight) {
+    updateThemeIcon(preference) {
         const btn = document.getElementById('theme-toggle');
         if (!btn) return;
 
-        // Update Icon Content (Sun vs Moon)
-        if (isLight) {
-            // Moon Icon for Light Mode (to switch to Dark)
-            // Or usually the icon represents the CURRENT state or TARGET state?
-            // Let's show the "Moon" when in Light mode (click to go Dark)
-            btn.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 12.79A9 9 0 1 1 11.21 3 7 7 0 0 0 21 12.79z"></path></svg>`;
-        } else {
-            // Sun Icon for Dark Mode (click to go Light)
-            btn.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="5"></circle><line x1="12" y1="1" x2="12" y2="3"></line><line x1="12" y1="21" x2="12" y2="23"></line><line x1="4.22" y1="4.22" x2="5.64" y2="5.64"></line><line x1="18.36" y1="18.36" x2="19.78" y2="19.78"></line><line x1="1" y1="12" x2="3" y2="12"></line><line x1="21" y1="12" x2="23" y2="12"></line><line x1="4.22" y1="19.78" x2="5.64" y2="18.36"></line><line x1="18.36" y1="5.64" x2="19.78" y2="4.22"></line></svg>`;
-        }
+        // The icon shows the current preference; the label also names the next one
+        const { preferences } = THEME_CONFIG;
+        const next = preferences[(preferences.indexOf(preference) + 1) % preferences.length];
+
+        btn.innerHTML = THEME_ICONS[preference];
+        btn.setAttribute('aria-label', `Theme: ${THEME_LABELS[preference]}. Switch to ${THEME_LABELS[next]}`);
+        btn.title = `Theme: ${THEME_LABELS[preference]}`;
     }
 
     setupNavigationClicks() {
@@ -275,9 +307,7 @@ class SoulstickApp {
                 }
 
                 // Pulse cursor effect
-                if (this.emberCursor) {
-                    this.emberCursor.pulseEffect();
-                }
+                soulstickBus.emit(SoulstickEvents.CURSOR_PULSE, { source: 'navigation' });
             });
         });
 
@@ -295,13 +325,6 @@ class SoulstickApp {
         });
     }
 
-    setupMagneticElements() {
-        // Add magnetic class to interactive elements
-        document.querySelectorAll('button, .nav-link, .contact-link').forEach(element => {
-            element.classList.add('magnetic-element');
-        });
-    }
-
     setupScrollToLinks() {
         // Auto-scroll to sections on load if hash is present
         if (window.location.hash) {
@@ -313,37 +336,6 @@ class SoulstickApp {
         }
     }
 
-    setupFormSubmissions() {
-        // Newsletter signup form
-        const signupForm = document.querySelector('.signup-form');
-        if (signupForm) {
-            signupForm.addEventListener('submit', this.handleNewsletterSignup.bind(this));
-        }
-    }
-
-    handleNewsletterSignup(e) {
-        e.preventDefault();
-        const email = e.target.querySelector('.email-input').value;
-
-        if (this.validateEmail(email)) {
-            // Show success feedback
-            this.showNotification('Thank you for subscribing! 🔥', 'success');
-            e.target.reset();
-
-            // Pulse cursor
-            if (this.emberCursor) {
-                this.emberCursor.pulseEffect();
-            }
-        } else {
-            this.showNotification('Please enter a valid email address', 'error');
-        }
-    }
-
-    validateEmail(email) {
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        return emailRegex.test(email);
-    }
-
     setupKeyboardShortcuts() {
         document.addEventListener('keydown', (e) => {
             // Debug mode toggle (Ctrl + D)
@@ -365,9 +357,22 @@ class SoulstickApp {
                 e.preventDefault();
                 this.toggleAudio();
             }
+
+            // Reduced motion toggle (Alt + M)
+            if (e.altKey && e.code === 'KeyM') {
+                e.preventDefault();
+                this.toggleReducedMotion();
+            }
         });
     }
 
+    toggleReducedMotion() {
+        if (!this.motionPreference) return;
+
+        const reduced = this.motionPreference.toggle();
+        this.showNotification(reduced ? 'Reduced motion on' : 'Full motion on', 'info', { key: 'motion' });
+    }
+
     setupMobileOptimizations() {
         // Detect mobile device
         const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
@@ -378,11 +383,6 @@ class SoulstickApp {
             // Disable hover effects on mobile
             document.body.classList.add('no-hover');
 
-            // Reduce particle count for performance
-            if (this.webglAtmosphere) {
-                this.webglAtmosphere.particleCount = Math.min(this.webglAtmosphere.particleCount, 100);
-            }
-
             // Simplify animations
             document.documentElement.style.setProperty('--animation-speed', '0.5');
         }
@@ -410,8 +410,8 @@ class SoulstickApp {
         }
 
         // Refresh scroll triggers
-        if (window.gsap && gsap.ScrollTrigger) {
-            gsap.ScrollTrigger.refresh();
+        if (window.ScrollTrigger) {
+            ScrollTrigger.refresh();
         }
     }
 
@@ -462,13 +462,19 @@ class SoulstickApp {
     }
 
     checkSystemHealth() {
-        const healthScore = Object.values(this.systems).filter(Boolean).length / Object.keys(this.systems).length;
+        const status = this.registry.getStatus();
+
+        // Intentionally disabled systems don't count against health
+        const active = Object.entries(status).filter(([, state]) => state !== 'disabled');
+        const ready = active.filter(([, state]) => state === 'ready');
+        const healthScore = active.length ? ready.length / active.length : 1;
 
         console.log(`🔧 System Health: ${Math.round(healthScore * 100)}%`);
 
         // Log individual system status
-        Object.entries(this.systems).forEach(([system, status]) => {
-            console.log(`  ${status ? '✅' : '❌'} ${system}: ${status ? 'Ready' : 'Failed'}`);
+        Object.entries(status).forEach(([system, state]) => {
+            const icon = state === 'ready' ? '✅' : state === 'disabled' ? '⏸️' : '❌';
+            console.log(`  ${icon} ${system}: ${state}`);
         });
 
         // Show degraded experience warning if needed
@@ -479,61 +485,10 @@ class SoulstickApp {
         return healthScore;
     }
 
-    setupPerformanceMonitoring() {
-        let frameCount = 0;
-        let lastTime = performance.now();
-        let performanceModeEnabled = false;
-
-        const measurePerformance = () => {
-            frameCount++;
-            const currentTime = performance.now();
-
-            if (currentTime - lastTime >= 2000) { // Check every 2 seconds instead of 1
-                const fps = Math.round((frameCount * 1000) / (currentTime - lastTime));
-
-                if (fps < 30 && !performanceModeEnabled) {
-                    console.warn(`⚠️ Low FPS detected: ${fps}`);
-                    this.enablePerformanceMode();
-                    performanceModeEnabled = true;
-
-                    // Stop monitoring after enabling performance mode to prevent loops
-                    return;
-                }
-
-                frameCount = 0;
-                lastTime = currentTime;
-            }
-
-            if (!performanceModeEnabled) {
-                requestAnimationFrame(measurePerformance);
-            }
-        };
-
-        // Delay initial monitoring to allow startup
-        setTimeout(() => {
-            requestAnimationFrame(measurePerformance);
-        }, 3000);
-    }
-
-    enablePerformanceMode() {
-        console.log('🚀 Enabling performance mode...');
-
-        // Reduce particle count more aggressively
-        if (this.webglAtmosphere) {
-            this.webglAtmosphere.particleCount = Math.floor(this.webglAtmosphere.particleCount * 0.3);
-            this.webglAtmosphere.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 1));
-        }
-
-        // Reduce animation complexity
-        document.body.classList.add('performance-mode');
-
-        // Disable heavy visual effects
-        document.documentElement.style.setProperty('--enable-blur', '0');
-        document.documentElement.style.setProperty('--enable-3d-transforms', '0');
-
-        // Disable ember cursor trail to save performance
-        if (this.emberCursor) {
-            this.emberCursor.maxTrailLength = 5;
+    // Public quality control (the governor keeps adapting from here)
+    setQualityTier(tier) {
+        if (this.qualityGovernor) {
+            this.qualityGovernor.setTier(tier);
         }
     }
 
@@ -550,41 +505,15 @@ class SoulstickApp {
         };
     }
 
-    showNotification(message, type = 'info') {
-        // Create notification element
-        const notification = document.createElement('div');
-        notification.className = `notification notification-${type}`;
-        notification.textContent = message;
-        notification.style.cssText = `
-            position: fixed;
-            top: 100px;
-            right: 20px;
-            background: var(--surface-primary);
-            color: var(--text-primary);
-            padding: var(--space-4) var(--space-6);
-            border-radius: 8px;
-            border-left: 4px solid var(--${type === 'success' ? 'amber' : type === 'error' ? 'magma' : 'text-secondary'});
-            backdrop-filter: blur(10px);
-            z-index: 10001;
-            opacity: 0;
-            transform: translateX(100%);
-            transition: all 0.3s ease;
-        `;
-
-        document.body.appendChild(notification);
-
-        // Animate in
-        requestAnimationFrame(() => {
-            notification.style.opacity = '1';
-            notification.style.transform = 'translateX(0)';
-        });
-
-        // Auto-remove after 5 seconds
-        setTimeout(() => {
-            notification.style.opacity = '0';
-            notification.style.transform = 'translateX(100%)';
-            setTimeout(() => notification.remove(), 300);
-        }, 5000);
+    /**
+     * Toast through the notification manager (see NotificationManager.show for options).
+     */
+    showNotification(message, type = 'info', options = {}) {
+        if (!this.notificationManager) {
+            console.log(`🔔 ${message}`);
+            return null;
+        }
+        return this.notificationManager.show(message, { type, ...options });
     }
 
     toggleDebugMode() {
@@ -621,10 +550,9 @@ class SoulstickApp {
             debugPanel.innerHTML = `
                 <h4>Debug Info</h4>
                 <p>Load Time: ${Math.round(this.metrics.loadTime)}ms</p>
-                <p>WebGL: ${this.systems.webgl ? '✅' : '❌'}</p>
-                <p>Cursor: ${this.systems.cursor ? '✅' : '❌'}</p>
-                <p>Scroll: ${this.systems.scroll ? '✅' : '❌'}</p>
-                <p>Audio: ${this.systems.audio ? '✅' : '❌'}</p>
+                ${Object.entries(this.systems).map(([name, state]) => `<p>${name}: ${typeof state === 'string' ? state : (state ? '✅' : '❌')}</p>`).join('')}
+                <p>Quality: ${this.qualityGovernor ? `${this.qualityGovernor.getTier()} (${this.qualityGovernor.getStats().fps} fps)` : 'n/a'}</p>
+                <p>Motion: ${this.motionPreference ? `${this.motionPreference.isReducedMotion() ? 'reduced' : 'full'} (${this.motionPreference.getPreference()})` : 'n/a'}</p>
                 <p>Scroll Progress: ${this.scrollSync ? Math.round(this.scrollSync.getScrollProgress() * 100) : 0}%</p>
                 <p>Mouse: ${this.emberCursor ? Math.round(this.emberCursor.getMousePosition().x) : 0}, ${this.emberCursor ? Math.round(this.emberCursor.getMousePosition().y) : 0}</p>
             `;
@@ -650,16 +578,16 @@ class SoulstickApp {
 
     toggleAudio() {
         // DISABLED - Audio toggle logic preserved but not executed
-        this.showNotification('Audio system disabled 🔇', 'info');
+        this.showNotification('Audio system disabled 🔇', 'info', { key: 'audio' });
         return;
         if (!this.audioContext) return;
 
         if (this.audioContext.state === 'running') {
             this.audioContext.suspend();
-            this.showNotification('Audio paused 🔇', 'info');
+            this.showNotification('Audio paused 🔇', 'info', { key: 'audio' });
         } else {
             this.audioContext.resume();
-            this.showNotification('Audio resumed 🔊', 'info');
+            this.showNotification('Audio resumed 🔊', 'info', { key: 'audio' });
         }
     }
 
@@ -675,17 +603,8 @@ class SoulstickApp {
 
     // Cleanup
     destroy() {
-        if (this.emberCursor) {
-            this.emberCursor.destroy();
-        }
-
-        if (this.webglAtmosphere) {
-            this.webglAtmosphere.destroy();
-        }
-
-        if (this.scrollSync) {
-            this.scrollSync.destroy();
-        }
+        // Systems are torn down in reverse init order
+        this.registry.destroyAll();
 
         if (this.audioContext) {
             this.audioContext.close();
@@ -706,24 +625,14 @@ document.addEventListener('DOMContentLoaded', () => {
 
 // Handle page visibility for performance
 document.addEventListener('visibilitychange', () => {
-    if (window.soulstickApp) {
-        if (document.hidden) {
-            // Pause systems when page is hidden
-            if (window.soulstickApp.webglAtmosphere) {
-                window.soulstickApp.webglAtmosphere.pause();
-            }
-            if (window.soulstickApp.scrollSync) {
-                window.soulstickApp.scrollSync.pause();
-            }
-        } else {
-            // Resume systems when page is visible
-            if (window.soulstickApp.webglAtmosphere) {
-                window.soulstickApp.webglAtmosphere.resume();
-            }
-            if (window.soulstickApp.scrollSync) {
-                window.soulstickApp.scrollSync.resume();
-            }
-        }
+    if (!window.soulstickApp) return;
+
+    if (document.hidden) {
+        // Pause every registered system when page is hidden
+        window.soulstickApp.registry.pauseAll();
+    } else {
+        // Resume systems when page is visible
+        window.soulstickApp.registry.resumeAll();
     }
 });
 
@@ -0,0 +1,249 @@
+/* ============================================
+   ATMOSPHERE CANVAS 2D BACKEND
+   Ember field for devices without WebGL, drawn
+   with the same motion model as the shader
+   ============================================ */
+
+const ATMOSPHERE_CANVAS2D_CONFIG = Object.freeze({
+    maxParticles: 300,      // Fill-rate bound; the tier's particleCount is capped here
+    depthRange: [0.35, 1],  // Parallax: far embers are smaller and slower
+    sizeScale: 60,          // Preset size (world units) to radius in CSS pixels
+    gradientStops: 8
+});
+
+class AtmosphereCanvas2D extends AtmosphereRenderer {
+    constructor(canvas, options) {
+        super(canvas, options);
+        this.backend = 'canvas2d';
+
+        this.context = canvas.getContext('2d', { alpha: false });
+        if (!this.context) {
+            throw new Error('Canvas 2D context unavailable');
+        }
+
+        this.embers = [];
+        this.colors = null;
+
+        // World slice visible at the WebGL camera's focus (fov 75, distance 5)
+        this.worldHeight = 2 * Math.tan(Math.PI * 75 / 360) * 5;
+
+        this.applySize();
+        this.rebuildParticles();
+        this.applyPalette(this.palette);
+
+        this.refreshStillFrame();
+    }
+
+    /* ============================================
+       BACKEND HOOKS
+       ============================================ */
+
+    applyScrollState() {
+        // Read straight from this.scrollState when drawing
+    }
+
+    applyPointer() {
+        // Read straight from this.pointer when drawing
+    }
+
+    applyPostProcessing() {
+        // Only the vignette is affordable without shaders; read when drawing
+    }
+
+    applyPalette(palette) {
+        const toRGB = ([r, g, b]) => `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+
+        this.colors = {
+            void: toRGB(palette.void),
+            composite: palette.additive ? 'lighter' : 'source-over'
+        };
+
+        this.embers.forEach(ember => {
+            const mix = palette.emberStart.map((channel, i) => channel + (palette.emberEnd[i] - channel) * ember.colorMix);
+            ember.color = toRGB(mix);
+        });
+    }
+
+    applySize() {
+        const pixelRatio = this.getPixelRatio();
+        this.canvas.width = Math.round(this.width * pixelRatio);
+        this.canvas.height = Math.round(this.height * pixelRatio);
+    }
+
+    applyPixelRatio() {
+        this.applySize();
+    }
+
+    rebuildParticles() {
+        const preset = ATMOSPHERE_PARTICLE_PRESETS[this.particlePreset];
+        const config = ATMOSPHERE_CANVAS2D_CONFIG;
+        const random = (min, max) => min + Math.random() * (max - min);
+        const count = Math.min(this.particleCount, config.maxParticles);
+
+        this.embers = [];
+        for (let i = 0; i < count; i++) {
+            const isEmber = Math.random() < preset.emberRatio;
+
+            this.embers.push({
+                // Start position in world units around the screen center
+                x: (Math.random() - 0.5) * preset.bounds,
+                y: (Math.random() - 0.5) * preset.bounds,
+                depth: random(config.depthRange[0], config.depthRange[1]),
+                vx: random(-preset.drift, preset.drift),
+                vy: random(preset.riseSpeed[0], preset.riseSpeed[1]),
+                size: random(preset.size[0], preset.size[1]),
+                colorMix: isEmber ? Math.random() : 0,
+                seed: Math.random(),
+                color: null
+            });
+        }
+
+        if (this.colors) {
+            this.applyPalette(this.palette);
+        }
+    }
+
+    /* ============================================
+       DRAWING
+       ============================================ */
+
+    draw() {
+        const ctx = this.context;
+        const pixelRatio = this.getPixelRatio();
+
+        ctx.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+        ctx.globalCompositeOperation = 'source-over';
+        ctx.globalAlpha = 1;
+
+        this.drawBackground(ctx);
+        this.drawEmbers(ctx);
+        this.drawVignette(ctx);
+    }
+
+    drawBackground(ctx) {
+        const { intensity, center } = this.scrollState;
+        const palette = this.palette;
+        const pulse = Math.sin(this.elapsedTime * 0.6 * 0.5) * 0.1 + 0.9;
+        const stops = ATMOSPHERE_CANVAS2D_CONFIG.gradientStops;
+        const mix = (from, to, t) => from.map((channel, i) => channel + (to[i] - channel) * t);
+
+        ctx.fillStyle = this.colors.void;
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        // Same falloff as the WebGL background shader, in viewport-relative units
+        ctx.save();
+        ctx.translate(center[0] * this.width, (1 - center[1]) * this.height);
+        ctx.scale(this.width, this.height);
+
+        const radius = 1.5;
+        const gradient = ctx.createRadialGradient(0, 0, 0, 0, 0, radius);
+        for (let i = 0; i <= stops; i++) {
+            const dist = (i / stops) * radius;
+            const glow = Math.min(1, Math.exp(-dist * 3) * 0.3 * pulse * intensity);
+            const halo = Math.min(1, Math.exp(-dist * 1.5) * 0.08 * pulse * intensity);
+            const [r, g, b] = mix(mix(palette.void, palette.core, halo), palette.glow, glow);
+            gradient.addColorStop(i / stops, `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`);
+        }
+
+        ctx.fillStyle = gradient;
+        ctx.fillRect(-center[0], center[1] - 1, 1, 1);
+        ctx.restore();
+    }
+
+    drawEmbers(ctx) {
+        const preset = ATMOSPHERE_PARTICLE_PRESETS[this.particlePreset];
+        const pointerConfig = ATMOSPHERE_POINTER_CONFIG;
+        const time = this.elapsedTime;
+        const density = this.scrollState.density;
+
+        const halfHeight = this.worldHeight / 2;
+        const halfWidth = halfHeight * (this.width / this.height);
+        const pixelsPerUnit = this.height / this.worldHeight;
+
+        // Wrap just outside the visible slice so embers re-enter off screen
+        const wrapWidth = halfWidth * 2 + 1;
+        const wrapHeight = halfHeight * 2 + 1;
+        const wrap = (value, size) => ((value + size / 2) % size + size) % size - size / 2;
+
+        const pointerX = this.pointer.x * halfWidth;
+        const pointerY = this.pointer.y * halfHeight;
+        const burstX = this.burst.x * halfWidth;
+        const burstY = this.burst.y * halfHeight;
+        const burstAge = Math.min(this.burst.age, 60);
+        const burstRing = burstAge * pointerConfig.burstSpeed;
+        const burstFade = Math.exp(-burstAge * pointerConfig.burstDecay);
+
+        ctx.globalCompositeOperation = this.colors.composite;
+
+        this.embers.forEach(ember => {
+            // Particles whose seed is above the density fade out
+            const fade = 1 - Math.min(1, Math.max(0, (ember.seed - density) / 0.05));
+            if (fade <= 0) return;
+
+            const sway = Math.sin(time * preset.swayFrequency + ember.seed * 6.2831) * preset.sway;
+            let x = wrap(ember.x + (ember.vx * time + sway) * ember.depth, wrapWidth);
+            let y = wrap(ember.y + ember.vy * time * ember.depth, wrapHeight);
+
+            // Cursor field
+            const awayX = x - pointerX;
+            const awayY = y - pointerY;
+            const dist = Math.hypot(awayX, awayY);
+            if (dist > 0.0001 && this.pointer.strength !== 0) {
+                const t = Math.min(1, dist / pointerConfig.radius);
+                const falloff = 1 - t * t * (3 - 2 * t);
+                const push = Math.max(falloff * falloff * this.pointer.strength, -dist * 0.9);
+                x += (awayX / dist) * push;
+                y += (awayY / dist) * push;
+            }
+
+            // Click/tap shockwave ring
+            if (burstFade > 0.001) {
+                const fromX = x - burstX;
+                const fromY = y - burstY;
+                const burstDist = Math.hypot(fromX, fromY);
+                if (burstDist > 0.0001) {
+                    const ring = burstDist - burstRing;
+                    const wave = Math.exp(-ring * ring) * burstFade * pointerConfig.burstStrength;
+                    x += (fromX / burstDist) * wave;
+                    y += (fromY / burstDist) * wave;
+                }
+            }
+
+            const radius = Math.max(0.6, ember.size * ATMOSPHERE_CANVAS2D_CONFIG.sizeScale * ember.depth);
+
+            ctx.globalAlpha = 0.8 * fade;
+            ctx.fillStyle = ember.color;
+            ctx.beginPath();
+            ctx.arc(this.width / 2 + x * pixelsPerUnit, this.height / 2 - y * pixelsPerUnit, radius, 0, Math.PI * 2);
+            ctx.fill();
+        });
+
+        ctx.globalAlpha = 1;
+        ctx.globalCompositeOperation = 'source-over';
+    }
+
+    drawVignette(ctx) {
+        if (!this.getPostPasses().vignette) return;
+
+        const strength = this.getPostSettings().vignette;
+        const radius = Math.hypot(this.width, this.height) / 2;
+        const gradient = ctx.createRadialGradient(
+            this.width / 2, this.height / 2, radius * 0.2,
+            this.width / 2, this.height / 2, radius * 0.9
+        );
+        gradient.addColorStop(0, 'rgba(0, 0, 0, 0)');
+        gradient.addColorStop(1, `rgba(0, 0, 0, ${strength})`);
+
+        ctx.fillStyle = gradient;
+        ctx.fillRect(0, 0, this.width, this.height);
+    }
+
+    dispose() {
+        super.dispose();
+        this.embers = [];
+    }
+}
+
+// Shared with the atmosphere worker, where `self` is the only global
+self.ATMOSPHERE_CANVAS2D_CONFIG = ATMOSPHERE_CANVAS2D_CONFIG;
+self.AtmosphereCanvas2D = AtmosphereCanvas2D;
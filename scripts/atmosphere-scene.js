@@ -0,0 +1,1259 @@
+/* ============================================
+   ATMOSPHERE SCENE
+   DOM-free renderers and render loop, shared by
+   the main thread and the OffscreenCanvas worker
+   ============================================ */
+
+/* Scroll coupling: how the atmosphere responds to overall scroll progress and
+   to the active [data-section]. Sections without a preset use "default". */
+const ATMOSPHERE_SCROLL_CONFIG = Object.freeze({
+    smoothing: 2.5,             // Approach rate toward targets (per second)
+    progress: {
+        intensityBoost: 0.5,    // Glow grows by up to 50% at the bottom of the page
+        centerLift: 0.15,       // Gradient center rises as the page scrolls
+        densityFalloff: 0.3     // Up to 30% of embers thin out further down
+    },
+    sections: {
+        default: { intensity: 1.0, center: [0.5, 0.4], density: 1.0 },
+        hero: { intensity: 1.0, center: [0.5, 0.4], density: 1.0 },
+        games: { intensity: 1.25, center: [0.7, 0.45], density: 0.85 },
+        story: { intensity: 0.8, center: [0.3, 0.55], density: 0.6 },
+        team: { intensity: 0.9, center: [0.5, 0.65], density: 0.7 },
+        contact: { intensity: 1.4, center: [0.5, 0.3], density: 1.0 }
+    }
+});
+
+/* Particle field presets. Motion runs entirely in the vertex shader:
+   position = start + velocity * time (+ sway), wrapped inside a cube of
+   edge length `bounds`. Speeds are world units per second. */
+const ATMOSPHERE_PARTICLE_PRESETS = Object.freeze({
+    // The original drifting ember field
+    classic: {
+        bounds: 20,
+        riseSpeed: [0.3, 0.9],
+        drift: 0.6,
+        sway: 0,
+        swayFrequency: 0,
+        size: [0.01, 0.04],
+        emberRatio: 0.7
+    },
+    // Denser, faster updraft with a gentle side-to-side flutter
+    inferno: {
+        bounds: 20,
+        riseSpeed: [0.8, 2.0],
+        drift: 0.4,
+        sway: 0.35,
+        swayFrequency: 0.8,
+        size: [0.015, 0.05],
+        emberRatio: 0.9
+    },
+    // Slow, sparse dust for quiet sections
+    dust: {
+        bounds: 20,
+        riseSpeed: [0.05, 0.2],
+        drift: 0.25,
+        sway: 0.2,
+        swayFrequency: 0.3,
+        size: [0.008, 0.025],
+        emberRatio: 0.4
+    }
+});
+
+/* Cursor/touch force field acting on individual embers (world space) */
+const ATMOSPHERE_POINTER_CONFIG = Object.freeze({
+    mode: 'repel',          // 'repel' pushes embers aside, 'attract' draws them in
+    radius: 2.5,            // World units around the pointer at each ember's depth
+    strength: 1.2,          // Max displacement in world units
+    follow: 10,             // Pointer smoothing rate (per second)
+    settle: 3,              // Field fade in/out rate (per second), embers drift back smoothly
+    burstStrength: 2.5,     // Click/tap shockwave displacement
+    burstSpeed: 6,          // Shockwave ring expansion (world units per second)
+    burstDecay: 2.5         // Shockwave fade rate (per second)
+});
+
+/* Post-processing. Which passes run is decided by the quality tier
+   (QUALITY_TIERS[tier].postProcessing) and can be narrowed per pass at runtime;
+   the mode picks how strong they are. Cinematic mode also grades the image. */
+const ATMOSPHERE_POST_CONFIG = Object.freeze({
+    modes: {
+        standard: {
+            bloom: 0.8,                 // Ember glow added on top of the frame
+            vignette: 0.3,              // Edge darkening (0-1)
+            grain: 0.035,               // Film grain amplitude
+            chromaticAberration: 0.002, // Radial RGB split at the edges (UV units)
+            contrast: 1,
+            saturation: 1
+        },
+        cinematic: {
+            bloom: 1.2,
+            vignette: 0.55,
+            grain: 0.07,
+            chromaticAberration: 0.005,
+            contrast: 1.1,
+            saturation: 1.2
+        }
+    },
+    bloomScale: 0.5,        // Bloom buffers relative to the drawing buffer
+    bloomIterations: 2      // Blur passes (each one horizontal + vertical)
+});
+
+const ATMOSPHERE_POST_PASSES = Object.freeze(['bloom', 'vignette', 'grain', 'chromaticAberration']);
+
+/* Order in which renderers are tried; "css" is the static gradient of last resort */
+const ATMOSPHERE_BACKENDS = Object.freeze(['webgl2', 'webgl1', 'canvas2d', 'css']);
+
+/**
+ * State, render loop and smoothing shared by every atmosphere backend.
+ * Subclasses draw the frame and apply state through the apply* hooks:
+ * applyPalette, applyScrollState, applyPointer, applySize, applyPixelRatio,
+ * applyPostProcessing, rebuildParticles and draw.
+ */
+class AtmosphereRenderer {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+     * @param {Object} options - Plain data only, so it can be posted to a worker
+     * @param {number} options.width - Viewport size in CSS pixels
+     * @param {number} options.height
+     * @param {number} options.devicePixelRatio
+     * @param {number} options.maxPixelRatio
+     * @param {boolean} options.antialias
+     * @param {Object} options.palette - Parsed theme colors (see WebGLAtmosphere.readPalette)
+     * @param {number} options.particleCount
+     * @param {string} options.particlePreset
+     * @param {Object} [options.postProcessing] - Passes the quality tier allows, by name
+     * @param {Object} [options.postOverrides] - Passes switched off (or back on) at runtime
+     * @param {boolean} [options.cinematic]
+     * @param {number} [options.baseIntensity]
+     * @param {number} [options.scrollProgress]
+     * @param {string|null} [options.activeSection]
+     */
+    constructor(canvas, options) {
+        this.canvas = canvas;
+        this.backend = null;
+
+        this.width = options.width;
+        this.height = options.height;
+        this.devicePixelRatio = options.devicePixelRatio || 1;
+        this.maxPixelRatio = options.maxPixelRatio;
+        this.particleCount = options.particleCount;
+        this.particlePreset = options.particlePreset;
+
+        // Pointer field state (NDC), eased toward the raw input every frame
+        this.pointer = { x: 0, y: 0, targetX: 0, targetY: 0, active: false, strength: 0 };
+        this.burst = { x: 0, y: 0, age: Infinity };
+
+        // Clock-driven render loop
+        this.rafId = null;
+        this.isAnimating = false;
+        this.isContextLost = false;
+        this.elapsedTime = 0;       // Simulation seconds
+        this.lastFrameTime = 0;     // Timestamp of the last rendered frame
+        this.targetFPS = 60;
+        this.frameInterval = 1000 / this.targetFPS;
+        this.maxDeltaTime = 0.1;    // Clamp after stalls so particles never jump
+
+        // Theme palette, cross-faded on change
+        this.palette = options.palette;
+        this.paletteFrom = null;
+        this.paletteTo = null;
+        this.paletteBlend = 1;
+        this.paletteFadeDuration = 0.8; // seconds
+
+        // Scroll-reactive state (smoothed toward targets every frame)
+        this.baseIntensity = options.baseIntensity ?? 1;
+        this.scrollProgress = options.scrollProgress || 0;
+        this.activeSection = options.activeSection || null;
+        this.scrollState = { intensity: 1, center: [0.5, 0.4], density: 1 };
+
+        // Post-processing: tier allowance, runtime toggles, strength preset
+        this.postProcessing = options.postProcessing || {};
+        this.postOverrides = options.postOverrides || {};
+        this.cinematic = !!options.cinematic;
+
+        // Per-frame timing stats
+        this.frameCount = 0;
+        this.frameTimes = [];       // Interval between rendered frames (ms)
+        this.renderTimes = [];      // CPU cost of render() (ms)
+        this.statsSampleSize = 60;
+
+        // Set by the host to hear about 'contextlost' / 'contextrestored'
+        this.onStatus = null;
+
+        this.tick = this.tick.bind(this);
+    }
+
+    getPixelRatio() {
+        return Math.min(this.devicePixelRatio, this.maxPixelRatio);
+    }
+
+    emitStatus(status) {
+        if (this.onStatus) {
+            this.onStatus(status);
+        }
+    }
+
+    /* ============================================
+       SCROLL & SECTION RESPONSE
+       ============================================ */
+
+    setScrollProgress(progress) {
+        this.scrollProgress = progress;
+        this.refreshStillFrame();
+    }
+
+    setActiveSection(section) {
+        this.activeSection = section;
+        this.refreshStillFrame();
+    }
+
+    setIntensity(intensity) {
+        this.baseIntensity = intensity;
+        this.refreshStillFrame();
+    }
+
+    getScrollTargets() {
+        const { sections, progress } = ATMOSPHERE_SCROLL_CONFIG;
+        const preset = sections[this.activeSection] || sections.default;
+        const p = Math.min(1, Math.max(0, this.scrollProgress || 0));
+
+        return {
+            intensity: this.baseIntensity * preset.intensity * (1 + progress.intensityBoost * p),
+            center: [preset.center[0], preset.center[1] + progress.centerLift * p],
+            density: preset.density * (1 - progress.densityFalloff * p)
+        };
+    }
+
+    updateScrollState(deltaTime, snap = false) {
+        const target = this.getScrollTargets();
+        const state = this.scrollState;
+        const ease = snap ? 1 : 1 - Math.exp(-ATMOSPHERE_SCROLL_CONFIG.smoothing * deltaTime);
+
+        state.intensity += (target.intensity - state.intensity) * ease;
+        state.center[0] += (target.center[0] - state.center[0]) * ease;
+        state.center[1] += (target.center[1] - state.center[1]) * ease;
+        state.density += (target.density - state.density) * ease;
+
+        this.applyScrollState(state);
+    }
+
+    refreshStillFrame() {
+        // The running loop eases toward new targets on its own
+        if (this.isAnimating) return;
+
+        this.updateScrollState(0, true);
+        this.render(0);
+    }
+
+    /* ============================================
+       THEME PALETTE
+       ============================================ */
+
+    setPalette(palette) {
+        // Still frames can't animate a fade; switch instantly
+        if (!this.isAnimating) {
+            this.palette = palette;
+            this.paletteBlend = 1;
+            this.applyPalette(palette);
+            this.render(0);
+            return;
+        }
+
+        this.paletteFrom = this.palette;
+        this.paletteTo = palette;
+        this.paletteBlend = 0;
+    }
+
+    updatePalette(deltaTime) {
+        if (this.paletteBlend >= 1) return;
+
+        this.paletteBlend = Math.min(1, this.paletteBlend + deltaTime / this.paletteFadeDuration);
+        const t = this.paletteBlend * this.paletteBlend * (3 - 2 * this.paletteBlend); // smoothstep
+        const lerp = (from, to) => from.map((channel, i) => channel + (to[i] - channel) * t);
+
+        this.palette = {
+            void: lerp(this.paletteFrom.void, this.paletteTo.void),
+            core: lerp(this.paletteFrom.core, this.paletteTo.core),
+            glow: lerp(this.paletteFrom.glow, this.paletteTo.glow),
+            emberStart: lerp(this.paletteFrom.emberStart, this.paletteTo.emberStart),
+            emberEnd: lerp(this.paletteFrom.emberEnd, this.paletteTo.emberEnd),
+            // Blending can't be interpolated; flip halfway through the fade
+            additive: t < 0.5 ? this.paletteFrom.additive : this.paletteTo.additive
+        };
+
+        this.applyPalette(this.palette);
+    }
+
+    /* ============================================
+       QUALITY & PARTICLE FIELD
+       ============================================ */
+
+    setQuality({ particleCount, pixelRatio, postProcessing = {} }) {
+        // Buffer size: rebuild the particles only when the count changes
+        if (particleCount !== this.particleCount) {
+            this.particleCount = particleCount;
+            this.rebuildParticles();
+        }
+
+        this.maxPixelRatio = pixelRatio;
+        this.postProcessing = postProcessing;
+        this.applyPixelRatio();
+        this.applyPostProcessing();
+        this.refreshStillFrame();
+    }
+
+    setParticlePreset(name) {
+        this.particlePreset = name;
+        this.rebuildParticles();
+        this.refreshStillFrame();
+    }
+
+    /* ============================================
+       POST-PROCESSING
+       ============================================ */
+
+    setPostOverrides(overrides) {
+        this.postOverrides = overrides;
+        this.applyPostProcessing();
+        this.refreshStillFrame();
+    }
+
+    setCinematic(enabled) {
+        this.cinematic = enabled;
+        this.applyPostProcessing();
+        this.refreshStillFrame();
+    }
+
+    getPostPasses() {
+        // A runtime toggle can switch a pass off, never past what the tier allows
+        const passes = {};
+        ATMOSPHERE_POST_PASSES.forEach(pass => {
+            passes[pass] = !!this.postProcessing[pass] && this.postOverrides[pass] !== false;
+        });
+        return passes;
+    }
+
+    getPostSettings() {
+        return ATMOSPHERE_POST_CONFIG.modes[this.cinematic ? 'cinematic' : 'standard'];
+    }
+
+    /* ============================================
+       POINTER FORCE FIELD
+       ============================================ */
+
+    movePointer(x, y) {
+        this.pointer.targetX = x;
+        this.pointer.targetY = y;
+
+        // First contact: jump there instead of sweeping across the screen
+        // (strength settles negative in attract mode, so compare its size)
+        if (!this.pointer.active && Math.abs(this.pointer.strength) < 0.01) {
+            this.pointer.x = x;
+            this.pointer.y = y;
+        }
+        this.pointer.active = true;
+    }
+
+    releasePointer() {
+        this.pointer.active = false;
+    }
+
+    triggerBurst(x, y) {
+        this.movePointer(x, y);
+        this.burst.x = x;
+        this.burst.y = y;
+        this.burst.age = 0;
+    }
+
+    updatePointerField(deltaTime) {
+        const config = ATMOSPHERE_POINTER_CONFIG;
+        const pointer = this.pointer;
+        const follow = 1 - Math.exp(-config.follow * deltaTime);
+        const settle = 1 - Math.exp(-config.settle * deltaTime);
+
+        pointer.x += (pointer.targetX - pointer.x) * follow;
+        pointer.y += (pointer.targetY - pointer.y) * follow;
+
+        // Strength fades in/out so displaced embers drift back instead of snapping
+        const direction = config.mode === 'attract' ? -1 : 1;
+        const targetStrength = pointer.active ? config.strength * direction : 0;
+        pointer.strength += (targetStrength - pointer.strength) * settle;
+
+        this.burst.age += deltaTime;
+        this.applyPointer();
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    resize(width, height, devicePixelRatio = this.devicePixelRatio) {
+        this.width = width;
+        this.height = height;
+        this.devicePixelRatio = devicePixelRatio;
+        this.applySize();
+
+        // Keep the still frame correct when the loop isn't running
+        if (!this.isAnimating) {
+            this.render(0);
+        }
+    }
+
+    render(deltaTime = 0) {
+        if (this.isContextLost) return;
+
+        const renderStart = performance.now();
+        this.elapsedTime += deltaTime;
+
+        this.updatePalette(deltaTime);
+        this.updateScrollState(deltaTime);
+        this.updatePointerField(deltaTime);
+        this.draw(deltaTime);
+
+        this.recordSample(this.renderTimes, performance.now() - renderStart);
+    }
+
+    /* ============================================
+       RENDER LOOP
+       ============================================ */
+
+    setAnimating(animate) {
+        if (animate === this.isAnimating) return;
+
+        this.isAnimating = animate;
+        if (animate) {
+            this.startLoop();
+        } else {
+            this.cancelFrame();
+            this.refreshStillFrame();
+        }
+    }
+
+    startLoop() {
+        if (this.rafId || this.isContextLost) return;
+
+        // Restart the clock so time spent paused isn't simulated
+        this.lastFrameTime = performance.now();
+        this.rafId = this.requestFrame(this.tick);
+    }
+
+    // Dedicated workers without requestAnimationFrame fall back to a timer
+    requestFrame(callback) {
+        if (typeof self.requestAnimationFrame === 'function') {
+            return self.requestAnimationFrame(callback);
+        }
+        return setTimeout(() => callback(performance.now()), this.frameInterval);
+    }
+
+    cancelFrame() {
+        if (!this.rafId) return;
+
+        if (typeof self.cancelAnimationFrame === 'function') {
+            self.cancelAnimationFrame(this.rafId);
+        } else {
+            clearTimeout(this.rafId);
+        }
+        this.rafId = null;
+    }
+
+    tick(now) {
+        this.rafId = null;
+        if (!this.isAnimating || this.isContextLost) return;
+
+        this.rafId = this.requestFrame(this.tick);
+
+        // Frame rate limiting (small tolerance for vsync jitter)
+        const elapsed = now - this.lastFrameTime;
+        if (elapsed < this.frameInterval - 1) return;
+
+        this.lastFrameTime = now;
+        this.frameCount++;
+        this.recordSample(this.frameTimes, elapsed);
+
+        this.render(Math.min(elapsed / 1000, this.maxDeltaTime));
+    }
+
+    recordSample(samples, value) {
+        samples.push(value);
+        if (samples.length > this.statsSampleSize) {
+            samples.shift();
+        }
+    }
+
+    averageOf(samples) {
+        if (!samples.length) return 0;
+        return samples.reduce((sum, value) => sum + value, 0) / samples.length;
+    }
+
+    getStats() {
+        const averageFrameTime = this.averageOf(this.frameTimes);
+
+        return {
+            backend: this.backend,
+            particleCount: this.particleCount,
+            pixelRatio: this.getPixelRatio(),
+            scrollState: { ...this.scrollState, center: [...this.scrollState.center] },
+            isAnimating: this.isAnimating,
+            isContextLost: this.isContextLost,
+            postProcessing: this.getPostPasses(),
+            cinematic: this.cinematic,
+            frameCount: this.frameCount,
+            elapsedTime: this.elapsedTime,
+            fps: averageFrameTime ? Math.round(1000 / averageFrameTime) : 0,
+            averageFrameTime,
+            lastFrameTime: this.frameTimes.length ? this.frameTimes[this.frameTimes.length - 1] : 0,
+            averageRenderTime: this.averageOf(this.renderTimes)
+        };
+    }
+
+    dispose() {
+        this.isAnimating = false;
+        this.cancelFrame();
+    }
+}
+
+/* Three.js backend (WebGL2, or WebGL1 through THREE.WebGL1Renderer) */
+class AtmosphereScene extends AtmosphereRenderer {
+    /**
+     * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+     * @param {Object} options - See AtmosphereRenderer, plus:
+     * @param {string} [options.backend] - 'webgl2' or 'webgl1'
+     */
+    constructor(canvas, options) {
+        super(canvas, options);
+        this.backend = options.backend || 'webgl2';
+        this.antialias = options.antialias;
+
+        this.scene = null;
+        this.camera = null;
+        this.renderer = null;
+        this.particles = null;
+        this.bgMesh = null;
+        this.bgMaterial = null;
+        this.post = null;
+
+        this.handleContextLost = this.handleContextLost.bind(this);
+        this.handleContextRestored = this.handleContextRestored.bind(this);
+
+        try {
+            this.setupScene();
+            this.setupCamera();
+            this.setupRenderer();
+            this.setupParticles();
+            this.setupLights();
+            this.applyPostProcessing();
+        } catch (error) {
+            // Release whatever was built (context included) before the next backend is tried
+            this.disposeFailed();
+            throw error;
+        }
+
+        this.canvas.addEventListener('webglcontextlost', this.handleContextLost);
+        this.canvas.addEventListener('webglcontextrestored', this.handleContextRestored);
+
+        // First frame right away; setAnimating() takes over from here
+        this.refreshStillFrame();
+    }
+
+    setupScene() {
+        this.scene = new THREE.Scene();
+        this.scene.fog = new THREE.Fog(new THREE.Color(...this.palette.void), 5, 15);
+
+        // Ambient background gradient
+        const bgGeometry = new THREE.PlaneGeometry(2, 2, 1, 1);
+        const bgMaterial = new THREE.ShaderMaterial({
+            vertexShader: `
+                void main() {
+                    gl_Position = vec4(position, 1.0);
+                }
+            `,
+            fragmentShader: `
+                uniform vec2 u_resolution;
+                uniform float u_time;
+                uniform vec3 u_voidColor;
+                uniform vec3 u_coreColor;
+                uniform vec3 u_glowColor;
+                uniform float u_intensity;
+                uniform vec2 u_center;
+
+                void main() {
+                    vec2 st = gl_FragCoord.xy / u_resolution.xy;
+
+                    // Radial gradient from the scroll-driven center
+                    float dist = distance(st, u_center);
+
+                    // Animated glow, scaled by scroll/section intensity
+                    float pulse = sin(u_time * 0.5) * 0.1 + 0.9;
+                    float glow = clamp(exp(-dist * 3.0) * 0.3 * pulse * u_intensity, 0.0, 1.0);
+                    float halo = clamp(exp(-dist * 1.5) * 0.08 * pulse * u_intensity, 0.0, 1.0);
+
+                    // Theme palette: void -> core halo -> glow
+                    vec3 color = mix(u_voidColor, u_coreColor, halo);
+                    color = mix(color, u_glowColor, glow);
+
+                    gl_FragColor = vec4(color, 1.0);
+                }
+            `,
+            uniforms: {
+                u_resolution: { value: new THREE.Vector2(this.width, this.height) },
+                u_time: { value: 0 },
+                u_voidColor: { value: new THREE.Color(...this.palette.void) },
+                u_coreColor: { value: new THREE.Color(...this.palette.core) },
+                u_glowColor: { value: new THREE.Color(...this.palette.glow) },
+                u_intensity: { value: this.scrollState.intensity },
+                u_center: { value: new THREE.Vector2(...this.scrollState.center) }
+            }
+        });
+
+        const bgMesh = new THREE.Mesh(bgGeometry, bgMaterial);
+        this.scene.add(bgMesh);
+        this.bgMesh = bgMesh;
+        this.bgMaterial = bgMaterial;
+    }
+
+    setupCamera() {
+        this.camera = new THREE.PerspectiveCamera(
+            75,
+            this.width / this.height,
+            0.1,
+            1000
+        );
+        this.camera.position.z = 5;
+    }
+
+    setupRenderer() {
+        // THREE.WebGLRenderer would quietly drop to WebGL1 itself; ask for it explicitly instead
+        const Renderer = this.backend === 'webgl1' ? THREE.WebGL1Renderer : THREE.WebGLRenderer;
+        this.renderer = new Renderer({
+            canvas: this.canvas,
+            alpha: false,
+            antialias: this.antialias,
+            powerPreference: 'high-performance'
+        });
+
+        // CSS sizes the canvas; an OffscreenCanvas has no style to update anyway
+        if (this.backend === 'webgl2' && !this.renderer.capabilities.isWebGL2) {
+            this.backend = 'webgl1';
+        }
+
+        this.renderer.setSize(this.width, this.height, false);
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        this.renderer.setClearColor(new THREE.Color(...this.palette.void));
+
+        // Performance optimizations
+        this.renderer.shadowMap.enabled = false;
+        this.renderer.outputColorSpace = THREE.LinearSRGBColorSpace;
+
+        this.updateResolution();
+    }
+
+    setupParticles() {
+        const preset = ATMOSPHERE_PARTICLE_PRESETS[this.particlePreset];
+        const random = (min, max) => min + Math.random() * (max - min);
+
+        const geometry = new THREE.BufferGeometry();
+        const positions = new Float32Array(this.particleCount * 3);
+        const velocities = new Float32Array(this.particleCount * 3);
+        const sizes = new Float32Array(this.particleCount);
+        const colorMix = new Float32Array(this.particleCount);
+        const seeds = new Float32Array(this.particleCount);
+
+        // Initial state only: uploaded once, animated by the vertex shader
+        for (let i = 0; i < this.particleCount; i++) {
+            const i3 = i * 3;
+
+            // Random start positions inside the wrap cube
+            positions[i3] = (Math.random() - 0.5) * preset.bounds;
+            positions[i3 + 1] = (Math.random() - 0.5) * preset.bounds;
+            positions[i3 + 2] = (Math.random() - 0.5) * preset.bounds;
+
+            // Gentle floating velocities
+            velocities[i3] = random(-preset.drift, preset.drift);
+            velocities[i3 + 1] = random(preset.riseSpeed[0], preset.riseSpeed[1]);
+            velocities[i3 + 2] = random(-preset.drift, preset.drift);
+
+            // Varying sizes
+            sizes[i] = random(preset.size[0], preset.size[1]);
+
+            // Ember color variations: position between the palette's ember start/end colors
+            const isEmber = Math.random() < preset.emberRatio;
+            colorMix[i] = isEmber ? Math.random() : 0;
+
+            // Per-particle random: density thinning, sway phase and wrap offsets
+            seeds[i] = Math.random();
+        }
+
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
+        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
+        geometry.setAttribute('colorMix', new THREE.BufferAttribute(colorMix, 1));
+        geometry.setAttribute('seed', new THREE.BufferAttribute(seeds, 1));
+
+        // Particle shader material
+        const material = new THREE.ShaderMaterial({
+            vertexShader: `
+                attribute float size;
+                attribute float colorMix;
+                attribute float seed;
+                attribute vec3 velocity;
+                
+                uniform vec3 u_emberStart;
+                uniform vec3 u_emberEnd;
+                uniform float u_density;
+                uniform float u_time;
+                uniform float u_bounds;
+                uniform float u_sway;
+                uniform float u_swayFrequency;
+                uniform vec2 u_viewExtent;
+                uniform float u_cameraZ;
+                uniform vec2 u_pointer;
+                uniform float u_pointerStrength;
+                uniform float u_pointerRadius;
+                uniform vec2 u_burstOrigin;
+                uniform float u_burstAge;
+                uniform float u_burstStrength;
+                uniform float u_burstSpeed;
+                uniform float u_burstDecay;
+                
+                varying vec3 vColor;
+                varying float vFade;
+                
+                float hash(float n) {
+                    return fract(sin(n) * 43758.5453123);
+                }
+                
+                void main() {
+                    vColor = mix(u_emberStart, u_emberEnd, colorMix);
+                    
+                    // Particles whose seed is above the density fade out
+                    vFade = 1.0 - smoothstep(u_density, u_density + 0.05, seed);
+                    
+                    // Integrate motion from the initial state
+                    float halfBounds = u_bounds * 0.5;
+                    vec3 simulated = position + velocity * u_time;
+                    simulated.x += sin(u_time * u_swayFrequency + seed * 6.2831) * u_sway;
+                    
+                    // Each time an ember wraps past the top it re-enters from a fresh column
+                    float cycle = floor((simulated.y + halfBounds) / u_bounds);
+                    simulated.xz += vec2(hash(seed * 91.7 + cycle), hash(seed * 37.3 + cycle)) * u_bounds;
+                    
+                    // Wrap around the scene
+                    simulated = mod(simulated + halfBounds, u_bounds) - halfBounds;
+                    
+                    // Cursor field: project the pointer to this ember's depth and push/pull in world space
+                    float depth = u_cameraZ - simulated.z;
+                    if (depth > 0.0) {
+                        vec2 pointerWorld = u_pointer * u_viewExtent * depth;
+                        vec2 away = simulated.xy - pointerWorld;
+                        float dist = length(away);
+                        float falloff = 1.0 - smoothstep(0.0, u_pointerRadius, dist);
+                        float push = falloff * falloff * u_pointerStrength;
+                        push = max(push, -dist * 0.9); // Attraction never overshoots the pointer
+                        simulated.xy += (dist > 0.0001 ? away / dist : vec2(0.0)) * push;
+                        
+                        // Click/tap burst: an expanding, fading shockwave ring
+                        vec2 fromBurst = simulated.xy - u_burstOrigin * u_viewExtent * depth;
+                        float burstDist = length(fromBurst);
+                        float ring = burstDist - u_burstAge * u_burstSpeed;
+                        float wave = exp(-ring * ring) * exp(-u_burstAge * u_burstDecay);
+                        simulated.xy += (burstDist > 0.0001 ? fromBurst / burstDist : vec2(0.0)) * wave * u_burstStrength;
+                    }
+                    
+                    vec4 mvPosition = modelViewMatrix * vec4(simulated, 1.0);
+                    gl_PointSize = vFade > 0.0 ? size * (300.0 / -mvPosition.z) : 0.0;
+                    gl_Position = projectionMatrix * mvPosition;
+                }
+            `,
+            fragmentShader: `
+                varying vec3 vColor;
+                varying float vFade;
+                
+                void main() {
+                    vec2 center = gl_PointCoord - 0.5;
+                    float dist = length(center);
+                    
+                    if (dist > 0.5) discard;
+                    
+                    float alpha = 1.0 - smoothstep(0.0, 0.5, dist);
+                    alpha *= 0.8 * vFade;
+                    
+                    gl_FragColor = vec4(vColor, alpha);
+                }
+            `,
+            uniforms: {
+                u_emberStart: { value: new THREE.Color(...this.palette.emberStart) },
+                u_emberEnd: { value: new THREE.Color(...this.palette.emberEnd) },
+                u_density: { value: this.scrollState.density },
+                u_time: { value: this.elapsedTime },
+                u_bounds: { value: preset.bounds },
+                u_sway: { value: preset.sway },
+                u_swayFrequency: { value: preset.swayFrequency },
+                u_viewExtent: { value: new THREE.Vector2(1, 1) },
+                u_cameraZ: { value: this.camera.position.z },
+                u_pointer: { value: new THREE.Vector2(this.pointer.x, this.pointer.y) },
+                u_pointerStrength: { value: this.pointer.strength },
+                u_pointerRadius: { value: ATMOSPHERE_POINTER_CONFIG.radius },
+                u_burstOrigin: { value: new THREE.Vector2(this.burst.x, this.burst.y) },
+                u_burstAge: { value: 60 },
+                u_burstStrength: { value: ATMOSPHERE_POINTER_CONFIG.burstStrength },
+                u_burstSpeed: { value: ATMOSPHERE_POINTER_CONFIG.burstSpeed },
+                u_burstDecay: { value: ATMOSPHERE_POINTER_CONFIG.burstDecay }
+            },
+            transparent: true,
+            blending: this.palette.additive ? THREE.AdditiveBlending : THREE.NormalBlending,
+            depthWrite: false
+        });
+
+        this.particles = new THREE.Points(geometry, material);
+
+        // Positions move on the GPU, so the CPU-side bounding sphere is meaningless
+        this.particles.frustumCulled = false;
+        this.scene.add(this.particles);
+        this.updateViewExtent();
+    }
+
+    setupLights() {
+        // Minimal lighting for performance
+        const ambientLight = new THREE.AmbientLight(0xff6b47, 0.1);
+        this.scene.add(ambientLight);
+    }
+
+    /* ============================================
+       POST-PROCESSING
+       ============================================ */
+
+    applyPostProcessing() {
+        const passes = this.getPostPasses();
+        const settings = this.getPostSettings();
+
+        // Cinematic grading needs the composite pass even with every effect off
+        const needsComposite = this.cinematic || Object.values(passes).some(Boolean);
+        if (!needsComposite) {
+            this.disposePostProcessing();
+            return;
+        }
+
+        if (!this.post) {
+            this.setupPostProcessing();
+        }
+
+        if (passes.bloom && !this.post.bloomTargets) {
+            this.post.bloomTargets = [this.createRenderTarget(), this.createRenderTarget()];
+        } else if (!passes.bloom && this.post.bloomTargets) {
+            this.post.bloomTargets.forEach(target => target.dispose());
+            this.post.bloomTargets = null;
+        }
+        this.resizePostTargets();
+
+        const uniforms = this.post.compositeMaterial.uniforms;
+        uniforms.tBloom.value = passes.bloom ? this.post.bloomTargets[0].texture : null;
+        uniforms.u_bloom.value = passes.bloom ? settings.bloom : 0;
+        uniforms.u_vignette.value = passes.vignette ? settings.vignette : 0;
+        uniforms.u_grain.value = passes.grain ? settings.grain : 0;
+        uniforms.u_aberration.value = passes.chromaticAberration ? settings.chromaticAberration : 0;
+        uniforms.u_contrast.value = settings.contrast;
+        uniforms.u_saturation.value = settings.saturation;
+        this.post.passes = passes;
+    }
+
+    setupPostProcessing() {
+        const fullscreenVertex = `
+            varying vec2 vUv;
+
+            void main() {
+                vUv = uv;
+                gl_Position = vec4(position.xy, 0.0, 1.0);
+            }
+        `;
+
+        // Separable 9-tap gaussian (linear sampling), run horizontally then vertically
+        const blurMaterial = new THREE.ShaderMaterial({
+            vertexShader: fullscreenVertex,
+            fragmentShader: `
+                uniform sampler2D tInput;
+                uniform vec2 u_direction;
+                varying vec2 vUv;
+
+                void main() {
+                    vec4 sum = texture2D(tInput, vUv) * 0.227027;
+                    sum += texture2D(tInput, vUv + u_direction * 1.384615) * 0.316216;
+                    sum += texture2D(tInput, vUv - u_direction * 1.384615) * 0.316216;
+                    sum += texture2D(tInput, vUv + u_direction * 3.230769) * 0.070270;
+                    sum += texture2D(tInput, vUv - u_direction * 3.230769) * 0.070270;
+                    gl_FragColor = sum;
+                }
+            `,
+            uniforms: {
+                tInput: { value: null },
+                u_direction: { value: new THREE.Vector2() }
+            },
+            depthTest: false,
+            depthWrite: false
+        });
+
+        const compositeMaterial = new THREE.ShaderMaterial({
+            vertexShader: fullscreenVertex,
+            fragmentShader: `
+                uniform sampler2D tScene;
+                uniform sampler2D tBloom;
+                uniform float u_bloom;
+                uniform float u_vignette;
+                uniform float u_grain;
+                uniform float u_aberration;
+                uniform float u_contrast;
+                uniform float u_saturation;
+                uniform float u_time;
+                varying vec2 vUv;
+
+                float random(vec2 co) {
+                    return fract(sin(dot(co, vec2(12.9898, 78.233))) * 43758.5453);
+                }
+
+                void main() {
+                    vec2 fromCenter = vUv - 0.5;
+
+                    // Chromatic aberration: radial channel split, strongest at the edges
+                    vec2 shift = fromCenter * u_aberration;
+                    vec3 color = vec3(
+                        texture2D(tScene, vUv + shift).r,
+                        texture2D(tScene, vUv).g,
+                        texture2D(tScene, vUv - shift).b
+                    );
+
+                    // Bloom: blurred embers added back on top
+                    color += texture2D(tBloom, vUv).rgb * u_bloom;
+
+                    // Grade (identity outside cinematic mode)
+                    color = (color - 0.5) * u_contrast + 0.5;
+                    float luma = dot(color, vec3(0.2126, 0.7152, 0.0722));
+                    color = mix(vec3(luma), color, u_saturation);
+
+                    // Vignette
+                    color *= 1.0 - u_vignette * smoothstep(0.2, 0.9, length(fromCenter) * 1.4142);
+
+                    // Film grain, re-rolled every frame
+                    color += (random(vUv * 1000.0 + fract(u_time)) - 0.5) * u_grain;
+
+                    gl_FragColor = vec4(clamp(color, 0.0, 1.0), 1.0);
+                }
+            `,
+            uniforms: {
+                tScene: { value: null },
+                tBloom: { value: null },
+                u_bloom: { value: 0 },
+                u_vignette: { value: 0 },
+                u_grain: { value: 0 },
+                u_aberration: { value: 0 },
+                u_contrast: { value: 1 },
+                u_saturation: { value: 1 },
+                u_time: { value: 0 }
+            },
+            depthTest: false,
+            depthWrite: false
+        });
+
+        const quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), compositeMaterial);
+        quad.frustumCulled = false;
+        const scene = new THREE.Scene();
+        scene.add(quad);
+
+        // MSAA is lost when rendering into a texture; WebGL2 can multisample the target instead
+        const samples = this.antialias && this.renderer.capabilities.isWebGL2 ? 4 : 0;
+        const sceneTarget = this.createRenderTarget({ samples });
+
+        compositeMaterial.uniforms.tScene.value = sceneTarget.texture;
+
+        this.post = {
+            scene,
+            camera: new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1),
+            quad,
+            blurMaterial,
+            compositeMaterial,
+            sceneTarget,
+            bloomTargets: null,
+            passes: {},
+            clearColor: new THREE.Color()
+        };
+    }
+
+    createRenderTarget(options = {}) {
+        return new THREE.WebGLRenderTarget(1, 1, {
+            minFilter: THREE.LinearFilter,
+            magFilter: THREE.LinearFilter,
+            depthBuffer: false,
+            ...options
+        });
+    }
+
+    resizePostTargets() {
+        if (!this.post) return;
+
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        this.post.sceneTarget.setSize(size.x, size.y);
+
+        if (this.post.bloomTargets) {
+            const scale = ATMOSPHERE_POST_CONFIG.bloomScale;
+            this.post.bloomTargets.forEach(target => {
+                target.setSize(Math.max(1, Math.round(size.x * scale)), Math.max(1, Math.round(size.y * scale)));
+            });
+        }
+    }
+
+    renderPostPass(material, target) {
+        this.post.quad.material = material;
+        this.renderer.setRenderTarget(target);
+        this.renderer.render(this.post.scene, this.post.camera);
+    }
+
+    renderBloom() {
+        const { bloomTargets, blurMaterial, clearColor } = this.post;
+        const [targetA, targetB] = bloomTargets;
+
+        // Embers only: hide the background gradient and clear to black
+        this.renderer.getClearColor(clearColor);
+        this.bgMesh.visible = false;
+        this.renderer.setClearColor(0x000000);
+        this.renderer.setRenderTarget(targetA);
+        this.renderer.render(this.scene, this.camera);
+        this.bgMesh.visible = true;
+        this.renderer.setClearColor(clearColor);
+
+        // Ping-pong blur, widening each iteration
+        for (let i = 0; i < ATMOSPHERE_POST_CONFIG.bloomIterations; i++) {
+            const spread = i + 1;
+
+            blurMaterial.uniforms.tInput.value = targetA.texture;
+            blurMaterial.uniforms.u_direction.value.set(spread / targetA.width, 0);
+            this.renderPostPass(blurMaterial, targetB);
+
+            blurMaterial.uniforms.tInput.value = targetB.texture;
+            blurMaterial.uniforms.u_direction.value.set(0, spread / targetB.height);
+            this.renderPostPass(blurMaterial, targetA);
+        }
+    }
+
+    disposePostProcessing() {
+        if (!this.post) return;
+
+        this.post.sceneTarget.dispose();
+        if (this.post.bloomTargets) {
+            this.post.bloomTargets.forEach(target => target.dispose());
+        }
+        this.post.blurMaterial.dispose();
+        this.post.compositeMaterial.dispose();
+        this.post.quad.geometry.dispose();
+        this.post = null;
+    }
+
+    /* ============================================
+       CONTEXT LOSS
+       ============================================ */
+
+    handleContextLost(event) {
+        // Without preventDefault the browser never restores the context
+        event.preventDefault();
+        this.isContextLost = true;
+        this.cancelFrame();
+        this.emitStatus('contextlost');
+    }
+
+    handleContextRestored() {
+        // Three.js re-creates its GL state on restore; give it fresh buffers too
+        this.isContextLost = false;
+        this.rebuildParticles();
+        this.emitStatus('contextrestored');
+
+        if (this.isAnimating) {
+            this.startLoop();
+        } else {
+            this.refreshStillFrame();
+        }
+    }
+
+    /* ============================================
+       BACKEND HOOKS
+       ============================================ */
+
+    applyScrollState(state) {
+        if (this.bgMaterial) {
+            this.bgMaterial.uniforms.u_intensity.value = state.intensity;
+            this.bgMaterial.uniforms.u_center.value.set(state.center[0], state.center[1]);
+        }
+
+        if (this.particles) {
+            this.particles.material.uniforms.u_density.value = state.density;
+        }
+    }
+
+    applyPalette(palette) {
+        if (this.bgMaterial) {
+            this.bgMaterial.uniforms.u_voidColor.value.setRGB(...palette.void);
+            this.bgMaterial.uniforms.u_coreColor.value.setRGB(...palette.core);
+            this.bgMaterial.uniforms.u_glowColor.value.setRGB(...palette.glow);
+        }
+
+        if (this.particles) {
+            const material = this.particles.material;
+            material.uniforms.u_emberStart.value.setRGB(...palette.emberStart);
+            material.uniforms.u_emberEnd.value.setRGB(...palette.emberEnd);
+            material.blending = palette.additive ? THREE.AdditiveBlending : THREE.NormalBlending;
+        }
+
+        this.scene.fog.color.setRGB(...palette.void);
+        this.renderer.setClearColor(this.scene.fog.color);
+    }
+
+    applyPointer() {
+        if (!this.particles) return;
+
+        const uniforms = this.particles.material.uniforms;
+        uniforms.u_pointer.value.set(this.pointer.x, this.pointer.y);
+        uniforms.u_pointerStrength.value = this.pointer.strength;
+        uniforms.u_burstOrigin.value.set(this.burst.x, this.burst.y);
+        uniforms.u_burstAge.value = Math.min(this.burst.age, 60);
+    }
+
+    applySize() {
+        this.camera.aspect = this.width / this.height;
+        this.camera.updateProjectionMatrix();
+        this.updateViewExtent();
+
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        this.renderer.setSize(this.width, this.height, false);
+        this.updateResolution();
+    }
+
+    applyPixelRatio() {
+        this.renderer.setPixelRatio(this.getPixelRatio());
+        this.updateResolution();
+    }
+
+    updateResolution() {
+        // gl_FragCoord is in device pixels, so the gradient needs the drawing buffer size
+        const size = this.renderer.getDrawingBufferSize(new THREE.Vector2());
+        if (this.bgMaterial) {
+            this.bgMaterial.uniforms.u_resolution.value.copy(size);
+        }
+
+        this.resizePostTargets();
+    }
+
+    rebuildParticles() {
+        if (this.particles) {
+            this.scene.remove(this.particles);
+            this.particles.geometry.dispose();
+            this.particles.material.dispose();
+            this.particles = null;
+        }
+
+        this.setupParticles();
+    }
+
+    updateViewExtent() {
+        if (!this.particles) return;
+
+        // Half-size of the view at distance 1 from the camera, to project NDC into world space
+        const tanHalfFov = Math.tan(THREE.MathUtils.degToRad(this.camera.fov) / 2);
+        this.particles.material.uniforms.u_viewExtent.value.set(tanHalfFov * this.camera.aspect, tanHalfFov);
+    }
+
+    draw() {
+        // Update background shader
+        if (this.bgMaterial) {
+            this.bgMaterial.uniforms.u_time.value = this.elapsedTime * 0.6;
+        }
+
+        // The whole particle simulation is a function of time on the GPU; no buffer uploads
+        if (this.particles) {
+            this.particles.material.uniforms.u_time.value = this.elapsedTime;
+        }
+
+        if (!this.post) {
+            this.renderer.setRenderTarget(null);
+            this.renderer.render(this.scene, this.camera);
+            return;
+        }
+
+        if (this.post.passes.bloom) {
+            this.renderBloom();
+        }
+
+        this.renderer.setRenderTarget(this.post.sceneTarget);
+        this.renderer.render(this.scene, this.camera);
+
+        this.post.compositeMaterial.uniforms.u_time.value = this.elapsedTime;
+        this.renderPostPass(this.post.compositeMaterial, null);
+    }
+
+    disposeFailed() {
+        try {
+            if (this.renderer) this.renderer.forceContextLoss();
+            this.dispose();
+        } catch (error) {
+            // Half-built; the original error is the one worth reporting
+        }
+    }
+
+    dispose() {
+        super.dispose();
+
+        this.canvas.removeEventListener('webglcontextlost', this.handleContextLost);
+        this.canvas.removeEventListener('webglcontextrestored', this.handleContextRestored);
+
+        if (this.particles) {
+            this.particles.geometry.dispose();
+            this.particles.material.dispose();
+        }
+
+        if (this.bgMaterial) {
+            this.bgMaterial.dispose();
+        }
+
+        this.disposePostProcessing();
+
+        if (this.renderer) {
+            this.renderer.dispose();
+        }
+    }
+}
+
+/**
+ * Create the first renderer in `backends` that works on this canvas.
+ * Returns null when none do; the page then shows the CSS gradient.
+ *
+ * A canvas keeps the first context type it hands out, so a backend that got a
+ * context and then failed would block the rest. `replaceCanvas` returns a fresh
+ * canvas for the next attempt; without one (a worker's OffscreenCanvas can't be
+ * swapped) the same canvas is retried and the host falls back if that fails.
+ */
+function createAtmosphereRenderer(canvas, options, backends, replaceCanvas = null) {
+    let attempted = false;
+
+    for (const backend of backends) {
+        if (backend === 'css') break;
+
+        if (attempted && replaceCanvas) {
+            canvas = replaceCanvas();
+        }
+        attempted = true;
+
+        try {
+            if (backend === 'canvas2d') {
+                return new AtmosphereCanvas2D(canvas, options);
+            }
+            return new AtmosphereScene(canvas, { ...options, backend });
+        } catch (error) {
+            console.warn(`Atmosphere ${backend} backend failed:`, error.message);
+        }
+    }
+
+    return null;
+}
+
+// Shared with the atmosphere worker, where `self` is the only global
+self.ATMOSPHERE_SCROLL_CONFIG = ATMOSPHERE_SCROLL_CONFIG;
+self.ATMOSPHERE_PARTICLE_PRESETS = ATMOSPHERE_PARTICLE_PRESETS;
+self.ATMOSPHERE_POINTER_CONFIG = ATMOSPHERE_POINTER_CONFIG;
+self.ATMOSPHERE_BACKENDS = ATMOSPHERE_BACKENDS;
+self.AtmosphereRenderer = AtmosphereRenderer;
+self.AtmosphereScene = AtmosphereScene;
+self.createAtmosphereRenderer = createAtmosphereRenderer;
@@ -0,0 +1,57 @@
+/* ============================================
+   ATMOSPHERE WORKER
+   Renders the atmosphere into an OffscreenCanvas
+   so it never competes with the main thread
+   ============================================ */
+
+importScripts(
+    'https://unpkg.com/three@0.149.0/build/three.min.js',
+    './atmosphere-scene.js',
+    './atmosphere-canvas2d.js'
+);
+
+const STATS_INTERVAL = 500; // ms between stats reports to the page
+
+let atmosphereScene = null;
+let statsTimer = null;
+
+function reportStats() {
+    if (atmosphereScene) {
+        self.postMessage({ type: 'stats', stats: atmosphereScene.getStats() });
+    }
+}
+
+self.onmessage = ({ data }) => {
+    switch (data.type) {
+        case 'init':
+            // Steps down the backend list on its own (WebGL2 -> WebGL1 -> Canvas2D)
+            atmosphereScene = createAtmosphereRenderer(data.canvas, data.options, data.backends);
+            if (!atmosphereScene) {
+                // The page falls back to rendering on the main thread
+                self.postMessage({ type: 'error', message: 'No atmosphere backend available in the worker' });
+                break;
+            }
+
+            atmosphereScene.onStatus = (status) => self.postMessage({ type: 'status', status });
+            statsTimer = setInterval(reportStats, STATS_INTERVAL);
+            self.postMessage({ type: 'ready', backend: atmosphereScene.backend });
+            reportStats();
+            break;
+
+        // Method calls mirrored from WebGLAtmosphere (see WebGLAtmosphere.send)
+        case 'call':
+            if (atmosphereScene && typeof atmosphereScene[data.method] === 'function') {
+                atmosphereScene[data.method](...data.args);
+            }
+            break;
+
+        case 'destroy':
+            clearInterval(statsTimer);
+            if (atmosphereScene) {
+                atmosphereScene.dispose();
+                atmosphereScene = null;
+            }
+            self.close();
+            break;
+    }
+};
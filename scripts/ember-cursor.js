@@ -4,44 +4,207 @@
    Optimized with Object Pooling & CSS Variables
    ============================================ */
 
+/* Trail tuning presets. Motion values are per frame at 60fps and are scaled
+   by the real frame time. blendMode null keeps the theme's --ember-blend-mode. */
+const EMBER_CURSOR_PRESETS = Object.freeze({
+    // The original warm trail
+    ember: {
+        maxParticles: 50,           // Pool size (capped by the quality tier)
+        particleLife: 0.8,          // Seconds
+        drag: 0.9,                  // Velocity kept per frame
+        buoyancy: 0.5,              // Upward acceleration (negative falls)
+        spawnRate: 1,               // Particles per frame while the pointer is active
+        velocityInheritance: 0.1,   // Share of pointer movement passed to new particles
+        jitter: 2,                  // Random spread of the initial velocity
+        blendMode: null
+    },
+    // Short-lived, fast sparks that fall away
+    spark: {
+        maxParticles: 80,
+        particleLife: 0.45,
+        drag: 0.94,
+        buoyancy: -0.25,
+        spawnRate: 2,
+        velocityInheritance: 0.35,
+        jitter: 5,
+        blendMode: 'screen'
+    },
+    // Slow, lingering haze
+    smoke: {
+        maxParticles: 40,
+        particleLife: 1.6,
+        drag: 0.96,
+        buoyancy: 0.15,
+        spawnRate: 0.5,
+        velocityInheritance: 0.05,
+        jitter: 1,
+        blendMode: 'normal'
+    },
+    // A faint hint of a trail
+    minimal: {
+        maxParticles: 15,
+        particleLife: 0.5,
+        drag: 0.85,
+        buoyancy: 0.3,
+        spawnRate: 0.5,
+        velocityInheritance: 0,
+        jitter: 0.5,
+        blendMode: null
+    }
+});
+
+// Effects API defaults (pulse, burst, shockwave, reveal)
+const EMBER_CURSOR_EFFECTS = Object.freeze({
+    burstCount: 24,             // Particles per radial burst
+    burstSpeed: 6,              // Initial speed, px per frame at 60fps
+    tapBurstCount: 8,           // Touch/pen: small burst where a contact starts
+    tapBurstSpeed: 3,
+    shockwaveSize: 160,         // Final ring diameter in px
+    shockwaveDuration: 600,     // ms
+    revealRadius: 150,          // Spotlight radius at the top of the page, px
+    revealScrollGrowth: 100,    // Extra radius at the bottom of the page, px
+    revealEase: 0.15,           // Share of the remaining radius change applied per frame
+    velocitySmoothing: 0.3      // Share of the new pointer velocity applied per frame
+});
+
+/* Context-aware cursor states, shown through #ember-cursor[data-cursor-state].
+   native: system cursor handed back while the state is active. The ember hides
+   for disabled and native; text keeps its caret over the I-beam (see animations.css). */
+const EMBER_CURSOR_STATES = Object.freeze({
+    default: { native: null },
+    hover: { native: null },            // Expanded ring: links and buttons
+    text: { native: 'text' },           // Caret over the native I-beam: text fields
+    video: { native: null },            // Play glyph
+    external: { native: null },         // Arrow: links that leave the site
+    drag: { native: null },             // Open ring that tightens while pressed
+    disabled: { native: 'not-allowed' },
+    native: { native: 'auto' }          // Controls that need the real cursor
+});
+
+// Automatic states by element, first match wins. A closer data-cursor attribute overrides.
+const EMBER_CURSOR_TARGETS = Object.freeze([
+    ['disabled', ':disabled, [aria-disabled="true"]'],
+    ['native', 'select, iframe, input[type="range"], input[type="color"], input[type="file"]'],
+    ['text', 'textarea, [contenteditable=""], [contenteditable="true"], ' +
+        'input:not([type="button"]):not([type="submit"]):not([type="reset"]):not([type="checkbox"]):not([type="radio"])'],
+    ['video', 'video'],
+    ['external', 'a[href]'], // Only when the link opens a new tab or another site, see resolveState
+    ['drag', '[draggable="true"]'],
+    ['hover', 'a[href], button, input, label, summary, [role="button"], [data-scroll-to]']
+]);
+
 class EmberCursor {
-    constructor() {
+    /**
+     * @param {Object} [options] - Any EMBER_CURSOR_PRESETS field, plus:
+     * @param {string} [options.preset='ember'] - Base preset the other options override
+     * @param {string} [options.renderer='auto'] - 'canvas', 'dom', or 'auto' (canvas when available)
+     */
+    constructor({ renderer = 'auto', ...options } = {}) {
         this.cursor = null;
         this.mouse = { x: 0, y: 0 };
         this.lastMouse = { x: 0, y: 0 }; // Track delta for velocity
         this.isActive = false;
+        this.isPressed = false;
+        this.isInitialized = false;
+
+        // 'fine' (mouse/trackpad: custom cursor replaces the native one) or
+        // 'touch' (touch/pen: trail while in contact, native cursor kept)
+        this.inputMode = null;
+        this.finePointerQuery = window.matchMedia ? window.matchMedia('(pointer: fine)') : null;
 
         // Configuration
-        this.maxParticles = 50;
-        this.particleLife = 0.8;
+        this.preset = null;
+        this.config = null;
+        this.tierSettings = null;           // Set by the quality governor
+        this.maxParticles = 0;              // Actual pool size
+        this.spawnAccumulator = 0;          // Fractional spawn rates carry over between frames
+        this.isReducedMotion = false;       // Set by MotionPreference: no trail, bursts or shockwaves
 
         // Data Pool (Physics State)
         this.pool = [];
         this.poolIndex = 0;
 
+        // Draws the pool (EmberCanvasRenderer, or EmberDOMRenderer as fallback)
+        this.rendererType = renderer;
+        this.renderer = null;
+
         // Loop vars
         this.rafId = null;
+        this.isPaused = false;              // Registry pause: no frames until resume()
+        this.lastFrameTime = 0;
         this.cursorScale = 1;
+        this.state = 'default';
+        this.hoverTarget = null;
+        this.magneticTarget = null;         // Element pulling toward the pointer (MagneticElements)
+        this.pulseTimeout = null;
+        this.unsubscribers = [];
+
+        // Effects
+        this.velocity = { x: 0, y: 0 };     // px per second, smoothed
+        this.reveal = { radius: EMBER_CURSOR_EFFECTS.revealRadius, target: EMBER_CURSOR_EFFECTS.revealRadius, applied: null };
+        this.revealTargets = [];
+        this.revealApplied = new Map();     // element -> last written "x,y", so unchanged values are skipped
+        this.revealPointer = { x: null, y: null };
+        this.isRevealDirty = true;          // Scroll or resize moved the masks under a still pointer
+        this.shockwaves = new Set();
 
         // Bind methods once
-        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+        this.handlePointerCancel = this.handlePointerCancel.bind(this);
+        this.handleTouchMove = this.handleTouchMove.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleMouseLeave = this.handleMouseLeave.bind(this);
+        this.handlePointerQueryChange = this.handlePointerQueryChange.bind(this);
+        this.handleRevealLayoutChange = this.handleRevealLayoutChange.bind(this);
+
+        // Prefer the quality governor's current tier so we don't allocate twice
+        const tierChange = window.soulstickBus && soulstickBus.getLast(SoulstickEvents.PERFORMANCE_TIER_CHANGE);
+        if (tierChange && tierChange.settings) {
+            this.tierSettings = tierChange.settings;
+        }
+        const motionChange = window.soulstickBus && soulstickBus.getLast(SoulstickEvents.MOTION_PREFERENCE_CHANGE);
+        if (motionChange) {
+            this.isReducedMotion = motionChange.reduced;
+        }
 
+        this.applyOptions(options);
         this.init();
     }
 
-    init() {
-        // Disable completely on mobile
-        if (window.innerWidth <= 768) {
-            console.log('📱 Mobile device detected - Ember cursor disabled');
-            return;
+    applyOptions({ preset, ...overrides }) {
+        if (preset !== undefined) {
+            if (!EMBER_CURSOR_PRESETS[preset]) {
+                console.warn(`Unknown ember cursor preset "${preset}"`);
+            } else {
+                // A preset replaces the whole configuration
+                this.preset = preset;
+                this.config = { ...EMBER_CURSOR_PRESETS[preset] };
+            }
         }
 
+        if (!this.config) {
+            this.preset = 'ember';
+            this.config = { ...EMBER_CURSOR_PRESETS.ember };
+        }
+
+        Object.assign(this.config, overrides);
+    }
+
+    init() {
+        // Start from the primary input; pointer events switch modes as they arrive
+        this.setInputMode(this.finePointerQuery && !this.finePointerQuery.matches ? 'touch' : 'fine');
+
         this.createCursor();
-        this.initPool(); // Initialize DOM and Data
+        this.renderer = this.createRenderer(this.rendererType);
+        this.initPool();
+        this.refreshRevealTargets();
         this.bindEvents();
         this.startAnimationLoop();
+        this.isInitialized = true;
 
-        console.log('🔥 Ember cursor initialized with theme support');
+        console.log(`🔥 Ember cursor initialized with theme support (${this.inputMode} pointer)`);
     }
 
     createCursor() {
@@ -57,70 +220,517 @@ class EmberCursor {
         this.cursor.style.zIndex = '10000';
         this.cursor.style.willChange = 'transform';
         this.cursor.classList.add('optimized-cursor');
+        this.cursor.dataset.cursorState = this.state;
+    }
+
+    createRenderer(type) {
+        if (type !== 'dom' && EmberCanvasRenderer.isSupported()) {
+            try {
+                return new EmberCanvasRenderer();
+            } catch (error) {
+                console.warn('Canvas ember trail unavailable, using DOM particles:', error);
+            }
+        }
+        return new EmberDOMRenderer();
     }
 
     initPool() {
-        for (let i = 0; i < this.maxParticles; i++) {
-            // Create DOM
-            const div = document.createElement('div');
-            // Use external CSS class for theme-aware styles (background, blend-mode)
-            div.className = 'ember-trail-particle';
-            document.body.appendChild(div);
-
-            // Create State
-            this.pool.push({
-                element: div,
-                x: 0,
-                y: 0,
-                vx: 0,
-                vy: 0,
-                life: 0, // 0 = dead, 1 = fresh
-                active: false
-            });
+        this.resizePool(this.getPoolSize());
+        this.applyBlendMode();
+    }
+
+    getPoolSize() {
+        // Reduced motion: an empty pool means no trail and no bursts
+        if (this.isReducedMotion) return 0;
+
+        // Each renderer has its own tier budget; the canvas affords far more particles
+        const tierCap = this.tierSettings ? this.tierSettings[this.renderer.poolSetting] : Infinity;
+        return Math.min(this.config.maxParticles, tierCap);
+    }
+
+    createParticle() {
+        return {
+            x: 0,
+            y: 0,
+            vx: 0,
+            vy: 0,
+            life: 0, // 0 = dead, 1 = fresh
+            scale: 1,
+            alpha: 0,
+            active: false
+        };
+    }
+
+    resizePool(count) {
+        count = Math.max(0, Math.floor(count));
+
+        // Grow
+        while (this.pool.length < count) {
+            this.pool.push(this.createParticle());
+        }
+
+        // Shrink (oldest slots beyond the new size are dropped)
+        if (this.pool.length > count) {
+            this.pool.length = count;
+        }
+        this.renderer.resize(count);
+
+        this.maxParticles = count;
+        this.poolIndex = count ? this.poolIndex % count : 0;
+    }
+
+    applyBlendMode() {
+        // Particles read --ember-trail-blend, falling back to the theme's --ember-blend-mode
+        const root = document.documentElement;
+        if (this.config.blendMode) {
+            root.style.setProperty('--ember-trail-blend', this.config.blendMode);
+        } else {
+            root.style.removeProperty('--ember-trail-blend');
         }
     }
 
     bindEvents() {
+        // All passive: touch trails must never hold up scrolling
         const opts = { passive: true };
-        document.addEventListener('mousemove', this.handleMouseMove, opts);
-        document.addEventListener('mouseenter', () => this.activate(), opts);
-        document.addEventListener('mouseleave', () => this.deactivate(), opts);
+        document.addEventListener('pointermove', this.handlePointerMove, opts);
+        document.addEventListener('pointerdown', this.handlePointerDown, opts);
+        document.addEventListener('pointerup', this.handlePointerUp, opts);
+        document.addEventListener('pointercancel', this.handlePointerCancel, opts);
+        document.addEventListener('mouseleave', this.handleMouseLeave, opts);
+
+        // A touch that turns into a scroll cancels its pointer; touch events keep reporting
+        document.addEventListener('touchmove', this.handleTouchMove, opts);
+        document.addEventListener('touchend', this.handleTouchEnd, opts);
+        document.addEventListener('touchcancel', this.handleTouchEnd, opts);
+
+        // The reveal masks move under a still pointer
+        window.addEventListener('scroll', this.handleRevealLayoutChange, opts);
+        window.addEventListener('resize', this.handleRevealLayoutChange, opts);
+
+        if (this.finePointerQuery) {
+            this.finePointerQuery.addEventListener('change', this.handlePointerQueryChange);
+        }
+
+        if (window.soulstickBus) {
+            this.unsubscribers.push(
+                soulstickBus.on(SoulstickEvents.CURSOR_PULSE, (payload) => this.pulse(payload)),
+                soulstickBus.on(SoulstickEvents.SCROLL_PROGRESS, ({ progress }) => {
+                    // The spotlight widens as the page is read
+                    this.setRevealRadius(EMBER_CURSOR_EFFECTS.revealRadius + progress * EMBER_CURSOR_EFFECTS.revealScrollGrowth);
+                }),
+                soulstickBus.on(SoulstickEvents.PERFORMANCE_TIER_CHANGE, ({ settings }) => {
+                    if (!settings) return;
+                    this.tierSettings = settings;
+                    this.resizePool(this.getPoolSize());
+                }, { replay: true }),
+                soulstickBus.on(SoulstickEvents.MAGNETIC_ATTRACT, ({ element, active }) => {
+                    if (active) {
+                        this.magneticTarget = element;
+                    } else if (this.magneticTarget === element) {
+                        this.magneticTarget = null;
+                    }
+                    if (this.inputMode === 'fine' && this.isActive) {
+                        this.setState(this.resolveState(this.hoverTarget));
+                    }
+                }),
+                soulstickBus.on(SoulstickEvents.MOTION_PREFERENCE_CHANGE, ({ reduced }) => {
+                    this.isReducedMotion = reduced;
+                    this.resizePool(this.getPoolSize());
+                }, { replay: true }),
+                soulstickBus.on(SoulstickEvents.THEME_CHANGE, () => {
+                    // Let the new theme's CSS variables apply before the canvas reads them
+                    requestAnimationFrame(() => this.renderer && this.renderer.applyTheme());
+                })
+            );
+        }
+    }
+
+    /* ============================================
+       INPUT
+       ============================================ */
+
+    setInputMode(mode) {
+        if (mode === this.inputMode) return;
+
+        // Drop the old mode's cursor before switching
+        if (this.isActive) this.deactivate();
+        this.inputMode = mode;
+
+        // Hands the native cursor back and hides #ember-cursor (see main.css)
+        document.documentElement.classList.toggle('ember-cursor-touch', mode === 'touch');
+    }
 
-        document.addEventListener('mousedown', () => this.scaleCursor(0.8));
-        document.addEventListener('mouseup', () => this.scaleCursor(1));
+    getInputMode() {
+        return this.inputMode;
     }
 
-    handleMouseMove(e) {
+    trackPointer(e) {
+        this.setInputMode(e.pointerType === 'mouse' ? 'fine' : 'touch');
         this.mouse.x = e.clientX;
         this.mouse.y = e.clientY;
-        if (!this.isActive) this.activate();
+    }
+
+    handlePointerQueryChange(e) {
+        // Hybrid devices: e.g. a tablet docked to a keyboard with trackpad
+        this.setInputMode(e.matches ? 'fine' : 'touch');
+    }
+
+    handlePointerMove(e) {
+        this.trackPointer(e);
+
+        if (this.inputMode === 'touch') {
+            // A hovering pen leaves no trail; only contact does
+            if (!this.isPressed) return;
+        } else if (!this.isActive) {
+            this.activate();
+        }
+
+        // Only re-resolve when the pointer crosses onto a different element
+        if (this.inputMode === 'fine' && e.target !== this.hoverTarget) {
+            this.hoverTarget = e.target;
+            this.setState(this.resolveState(e.target));
+        }
+    }
+
+    handlePointerDown(e) {
+        this.trackPointer(e);
+        this.setPressed(true);
+
+        if (this.inputMode === 'touch') {
+            this.activate();
+            this.burst({
+                count: EMBER_CURSOR_EFFECTS.tapBurstCount,
+                speed: EMBER_CURSOR_EFFECTS.tapBurstSpeed
+            });
+        }
+    }
+
+    handlePointerUp() {
+        this.setPressed(false);
+        if (this.inputMode === 'touch') this.deactivate();
+    }
+
+    handlePointerCancel() {
+        // Touch contacts continue through touchmove (the browser is scrolling);
+        // pens without touch events end here
+        if (this.inputMode === 'touch' && !('ontouchstart' in window)) {
+            this.handlePointerUp();
+        }
+    }
+
+    handleTouchMove(e) {
+        if (this.inputMode !== 'touch' || !this.isActive) return;
+
+        const touch = e.touches[0];
+        this.mouse.x = touch.clientX;
+        this.mouse.y = touch.clientY;
+    }
+
+    handleTouchEnd(e) {
+        if (this.inputMode === 'touch' && e.touches.length === 0 && this.isActive) {
+            this.handlePointerUp();
+        }
+    }
+
+    handleMouseLeave() {
+        if (this.inputMode === 'fine') this.deactivate();
     }
 
     activate() {
         this.isActive = true;
-        if (this.cursor) this.cursor.classList.add('active');
-        document.body.style.cursor = 'none';
+
+        // Touch and pen keep the native cursor; only the trail shows
+        if (this.inputMode === 'fine') {
+            if (this.cursor) this.cursor.classList.add('active');
+            document.body.style.cursor = 'none';
+        }
 
         this.lastMouse.x = this.mouse.x;
         this.lastMouse.y = this.mouse.y;
+        this.emitMove();
     }
 
     deactivate() {
         this.isActive = false;
-        if (this.cursor) this.cursor.classList.remove('active');
+        this.isPressed = false;
+        if (this.cursor) this.cursor.classList.remove('active', 'pressed');
         document.body.style.cursor = '';
+
+        this.hoverTarget = null;
+        this.setState('default');
+        this.emitMove();
+    }
+
+    emitMove() {
+        // Once per frame at most, in step with the trail (e.g. for torch lighting)
+        if (window.soulstickBus) {
+            soulstickBus.emit(SoulstickEvents.CURSOR_MOVE, {
+                x: this.mouse.x,
+                y: this.mouse.y,
+                active: this.isActive,
+                inputMode: this.inputMode
+            });
+        }
     }
 
     scaleCursor(scale) {
         this.cursorScale = scale;
     }
 
+    setPressed(isPressed) {
+        this.isPressed = isPressed;
+        this.scaleCursor(isPressed ? 0.8 : 1);
+        if (this.cursor) this.cursor.classList.toggle('pressed', isPressed);
+    }
+
+    /* ============================================
+       CURSOR STATES
+       ============================================ */
+
+    resolveState(target) {
+        const state = this.resolveElementState(target);
+
+        // Near a magnetic element the cursor already reacts to it, before the pointer is over it
+        if (state === 'default' && this.magneticTarget) {
+            return this.resolveElementState(this.magneticTarget);
+        }
+        return state;
+    }
+
+    resolveElementState(target) {
+        if (!(target instanceof Element)) return 'default';
+
+        let state = 'default';
+        let match = null;
+
+        for (const [name, selector] of EMBER_CURSOR_TARGETS) {
+            const element = target.closest(selector);
+            if (!element) continue;
+
+            if (name === 'external' && element.target !== '_blank' && element.host === window.location.host) {
+                continue;
+            }
+
+            state = name;
+            match = element;
+            break;
+        }
+
+        // data-cursor wins unless the automatic match sits inside it (closest element decides)
+        const declared = target.closest('[data-cursor]');
+        if (declared && (!match || match.contains(declared)) && EMBER_CURSOR_STATES[declared.dataset.cursor]) {
+            state = declared.dataset.cursor;
+        }
+
+        return state;
+    }
+
+    setState(name) {
+        if (!EMBER_CURSOR_STATES[name]) {
+            console.warn(`Unknown ember cursor state "${name}"`);
+            name = 'default';
+        }
+        if (name === this.state) return;
+
+        this.state = name;
+        if (this.cursor) this.cursor.dataset.cursorState = name;
+
+        // Hand the system cursor back (overrides every cursor: none rule)
+        const { native } = EMBER_CURSOR_STATES[name];
+        const root = document.documentElement;
+        root.classList.toggle('ember-cursor-native', !!native);
+        if (native) {
+            root.style.setProperty('--ember-native-cursor', native);
+        } else {
+            root.style.removeProperty('--ember-native-cursor');
+        }
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    /* ============================================
+       EFFECTS API
+       ============================================ */
+
+    /**
+     * Swell the cursor and fire a burst and shockwave, at the pointer unless
+     * x/y (viewport px) are given. Also runs on CURSOR_PULSE events.
+     */
+    pulse({ x = this.mouse.x, y = this.mouse.y } = {}) {
+        // Brief swell of the cursor, then settle back
+        this.scaleCursor(1.6);
+        clearTimeout(this.pulseTimeout);
+        this.pulseTimeout = setTimeout(() => this.scaleCursor(1), 180);
+
+        this.burst({ x, y });
+        this.shockwave({ x, y });
+    }
+
+    /**
+     * Radial particle burst drawn from the trail pool.
+     * @param {Object} [options] - x, y (viewport px), count, speed (px per frame at 60fps)
+     */
+    burst({
+        x = this.mouse.x,
+        y = this.mouse.y,
+        count = EMBER_CURSOR_EFFECTS.burstCount,
+        speed = EMBER_CURSOR_EFFECTS.burstSpeed
+    } = {}) {
+        if (!this.pool.length) return;
+
+        for (let i = 0; i < count; i++) {
+            const angle = (i / count) * Math.PI * 2 + Math.random() * 0.3;
+            const force = speed * (0.5 + Math.random() * 0.5);
+            const p = this.nextParticle();
+
+            p.active = true;
+            p.life = 1.0;
+            p.x = x;
+            p.y = y;
+            p.vx = Math.cos(angle) * force;
+            p.vy = Math.sin(angle) * force;
+            p.scale = 1;
+            p.alpha = 1;
+        }
+    }
+
+    /**
+     * Expanding ring that fades out.
+     * @param {Object} [options] - x, y (viewport px), size (final diameter px), duration (ms)
+     */
+    shockwave({
+        x = this.mouse.x,
+        y = this.mouse.y,
+        size = EMBER_CURSOR_EFFECTS.shockwaveSize,
+        duration = EMBER_CURSOR_EFFECTS.shockwaveDuration
+    } = {}) {
+        if (!this.isInitialized || this.isReducedMotion) return;
+
+        const ring = document.createElement('div');
+        ring.className = 'ember-shockwave';
+        ring.setAttribute('aria-hidden', 'true');
+        ring.style.left = `${x}px`;
+        ring.style.top = `${y}px`;
+        ring.style.setProperty('--shockwave-size', `${size}px`);
+        ring.style.animationDuration = `${duration}ms`;
+
+        const remove = () => {
+            ring.remove();
+            this.shockwaves.delete(ring);
+        };
+        ring.addEventListener('animationend', remove, { once: true });
+
+        this.shockwaves.add(ring);
+        document.body.appendChild(ring);
+    }
+
+    /**
+     * Spotlight radius (px) for .content-mask elements; eased toward over a few frames.
+     */
+    setRevealRadius(radius, { immediate = false } = {}) {
+        this.reveal.target = Math.max(0, radius);
+        if (immediate) this.reveal.radius = this.reveal.target;
+    }
+
+    getRevealRadius() {
+        return this.reveal.target;
+    }
+
+    /**
+     * Re-scan for .content-mask elements (call after adding some to the page).
+     */
+    refreshRevealTargets() {
+        this.revealTargets = Array.from(document.querySelectorAll('.content-mask'));
+        this.revealApplied.clear();
+        this.isRevealDirty = true;
+    }
+
+    handleRevealLayoutChange() {
+        this.isRevealDirty = true;
+    }
+
+    updateReveal() {
+        // Reduced motion: the spotlight resizes without easing
+        const ease = this.isReducedMotion ? 1 : EMBER_CURSOR_EFFECTS.revealEase;
+        this.reveal.radius += (this.reveal.target - this.reveal.radius) * ease;
+        if (Math.abs(this.reveal.target - this.reveal.radius) < 0.5) {
+            this.reveal.radius = this.reveal.target;
+        }
+
+        // Root variable writes restyle the whole page, so only write changes
+        const radius = `${this.reveal.radius.toFixed(1)}px`;
+        if (radius !== this.reveal.applied) {
+            document.documentElement.style.setProperty('--ember-reveal-radius', radius);
+            this.reveal.applied = radius;
+        }
+
+        if (!this.revealTargets.length) return;
+
+        // Rects are only read when the pointer moved or the page scrolled or resized
+        const pointerMoved = this.mouse.x !== this.revealPointer.x || this.mouse.y !== this.revealPointer.y;
+        if (!pointerMoved && !this.isRevealDirty) return;
+        this.revealPointer.x = this.mouse.x;
+        this.revealPointer.y = this.mouse.y;
+        this.isRevealDirty = false;
+
+        // The mask is positioned in each element's own box: read every rect, then write
+        const rects = this.revealTargets.map(element => element.getBoundingClientRect());
+        this.revealTargets.forEach((element, i) => {
+            const x = Math.round(this.mouse.x - rects[i].left);
+            const y = Math.round(this.mouse.y - rects[i].top);
+            const key = `${x},${y}`;
+            if (this.revealApplied.get(element) === key) return;
+
+            element.style.setProperty('--mouse-x', `${x}px`);
+            element.style.setProperty('--mouse-y', `${y}px`);
+            this.revealApplied.set(element, key);
+        });
+    }
+
+    updateVelocity(elapsed) {
+        const { velocitySmoothing } = EMBER_CURSOR_EFFECTS;
+        const seconds = Math.max(elapsed, 1) / 1000;
+        const vx = this.isActive ? (this.mouse.x - this.lastMouse.x) / seconds : 0;
+        const vy = this.isActive ? (this.mouse.y - this.lastMouse.y) / seconds : 0;
+
+        this.velocity.x += (vx - this.velocity.x) * velocitySmoothing;
+        this.velocity.y += (vy - this.velocity.y) * velocitySmoothing;
+    }
+
+    getMousePosition() {
+        return { x: this.mouse.x, y: this.mouse.y };
+    }
+
+    /**
+     * Smoothed pointer velocity in px per second.
+     */
+    getVelocity() {
+        return { x: this.velocity.x, y: this.velocity.y };
+    }
+
+    spawnParticles(step) {
+        // No trail behind the system cursor
+        if (EMBER_CURSOR_STATES[this.state].native) return;
+
+        this.spawnAccumulator += this.config.spawnRate * step;
+
+        while (this.spawnAccumulator >= 1) {
+            this.spawnAccumulator--;
+            this.spawnParticle();
+        }
+    }
+
     spawnParticle() {
+        const { velocityInheritance, jitter } = this.config;
         const dx = this.mouse.x - this.lastMouse.x;
         const dy = this.mouse.y - this.lastMouse.y;
 
-        const p = this.pool[this.poolIndex];
-        this.poolIndex = (this.poolIndex + 1) % this.maxParticles;
+        // Trail disabled (e.g. static quality tier)
+        if (!this.pool.length) return;
+
+        const p = this.nextParticle();
 
         p.active = true;
         p.life = 1.0;
@@ -128,36 +738,59 @@ class EmberCursor {
         p.y = this.mouse.y;
 
         // Random drift + movement momentum
-        p.vx = (dx * 0.1) + (Math.random() - 0.5) * 2;
-        p.vy = (dy * 0.1) + (Math.random() - 0.5) * 2;
+        p.vx = (dx * velocityInheritance) + (Math.random() - 0.5) * jitter;
+        p.vy = (dy * velocityInheritance) + (Math.random() - 0.5) * jitter;
 
-        // Reset Visuals
-        p.element.style.opacity = '1';
-        p.element.style.transform = `translate3d(${p.x}px, ${p.y}px, 0) translate(-50%, -50%) scale(1)`;
+        p.scale = 1;
+        p.alpha = 1;
+    }
+
+    nextParticle() {
+        // Oldest slot first, so a full pool recycles the most faded particle
+        const p = this.pool[this.poolIndex];
+        this.poolIndex = (this.poolIndex + 1) % this.maxParticles;
+        return p;
     }
 
     startAnimationLoop() {
-        const animate = () => {
+        if (this.rafId) return;
+
+        const animate = (now) => {
             this.rafId = requestAnimationFrame(animate);
 
+            // Frames of 60fps elapsed, clamped so a stall doesn't fling particles
+            const elapsed = now - this.lastFrameTime;
+            const step = Math.min(elapsed / (1000 / 60), 3);
+            this.lastFrameTime = now;
+
+            this.updateVelocity(elapsed);
+
             // Only spawn and follow mouse when active
             if (this.isActive) {
-                this.spawnParticle();
+                this.spawnParticles(step);
                 this.renderCursor();
+                if (this.mouse.x !== this.lastMouse.x || this.mouse.y !== this.lastMouse.y) {
+                    this.emitMove();
+                }
                 this.lastMouse.x = this.mouse.x;
                 this.lastMouse.y = this.mouse.y;
             }
 
             // Always update existing particles so they fade out naturally
-            this.updateParticles();
+            this.updateParticles(step);
+            this.renderer.draw(this.pool);
+            this.updateReveal();
         };
+        this.lastFrameTime = performance.now();
         this.rafId = requestAnimationFrame(animate);
     }
 
-    updateParticles() {
-        const decay = 1.0 / (this.particleLife * 60);
+    updateParticles(step = 1) {
+        const { particleLife, drag, buoyancy } = this.config;
+        const decay = step / (particleLife * 60);
+        const dragFactor = Math.pow(drag, step);
 
-        for (let i = 0; i < this.maxParticles; i++) {
+        for (let i = 0; i < this.pool.length; i++) {
             const p = this.pool[i];
             if (!p.active) continue;
 
@@ -165,31 +798,20 @@ class EmberCursor {
 
             if (p.life <= 0) {
                 p.active = false;
-                p.element.style.opacity = '0';
-                p.element.style.transform = 'translate3d(-500px, -500px, 0)';
                 continue;
             }
 
             // Physics
-            p.x += p.vx;
-            p.y += p.vy;
-
-            p.vx *= 0.9; // Drag
-            p.vy *= 0.9;
-            p.vy -= 0.5; // Rise
-
-            // Render
-            // We NO LONGER touch background/boxShadow here. 
-            // We primarily fade Size and Opacity.
-            // The color is handled by the CSS Variable in .ember-trail-particle
+            p.x += p.vx * step;
+            p.y += p.vy * step;
 
-            const currentSize = 0.5 + p.life * 0.6; // Scale down slightly as it dies
+            p.vx *= dragFactor;
+            p.vy *= dragFactor;
+            p.vy -= buoyancy * step;
 
-            // Use translate(-50%, -50%) to center particle at p.x, p.y
-            p.element.style.transform = `translate3d(${p.x}px, ${p.y}px, 0) translate(-50%, -50%) scale(${currentSize})`;
-
-            // Nonlinear fade out looks best
-            p.element.style.opacity = (p.life * p.life).toFixed(2);
+            // Visuals: only size and opacity change; the renderer owns color
+            p.scale = 0.5 + p.life * 0.6; // Scale down slightly as it dies
+            p.alpha = p.life * p.life;    // Nonlinear fade out looks best
         }
     }
 
@@ -200,12 +822,107 @@ class EmberCursor {
         }
     }
 
+    /* ============================================
+       PUBLIC TUNING API
+       ============================================ */
+
+    /**
+     * Change trail settings at runtime, e.g. configure({ preset: 'spark', drag: 0.9 }).
+     * Pool size changes grow or shrink the pool in place.
+     */
+    configure(options = {}) {
+        this.applyOptions(options);
+        this.applyBlendMode();
+
+        // No pool to resize before init
+        if (this.isInitialized) {
+            this.resizePool(this.getPoolSize());
+        }
+        return this.getConfig();
+    }
+
+    setPreset(name) {
+        return this.configure({ preset: name });
+    }
+
+    setMaxParticles(count) {
+        return this.configure({ maxParticles: count });
+    }
+
+    /**
+     * Switch between the 'canvas' and 'dom' trail at runtime ('auto' picks canvas
+     * when available). Live particles carry over to the new renderer.
+     */
+    setRenderer(type) {
+        this.rendererType = type;
+        if (!this.isInitialized) return this.getConfig();
+
+        this.renderer.destroy();
+        this.renderer = this.createRenderer(type);
+        this.resizePool(this.getPoolSize());
+        return this.getConfig();
+    }
+
+    getConfig() {
+        return {
+            preset: this.preset,
+            ...this.config,
+            renderer: this.renderer ? this.renderer.type : this.rendererType,
+            poolSize: this.maxParticles
+        };
+    }
+
+    stopAnimationLoop() {
+        if (this.rafId) {
+            cancelAnimationFrame(this.rafId);
+            this.rafId = null;
+        }
+    }
+
+    pause() {
+        // Background tab or registry pause: no frames at all
+        this.isPaused = true;
+        this.stopAnimationLoop();
+    }
+
+    resume() {
+        if (!this.isPaused) return;
+        this.isPaused = false;
+
+        // Layout may have changed while paused
+        this.isRevealDirty = true;
+        this.startAnimationLoop();
+    }
+
     destroy() {
-        if (this.rafId) cancelAnimationFrame(this.rafId);
-        document.removeEventListener('mousemove', this.handleMouseMove);
-        this.pool.forEach(p => p.element.remove());
+        this.stopAnimationLoop();
+        document.removeEventListener('pointermove', this.handlePointerMove);
+        document.removeEventListener('pointerdown', this.handlePointerDown);
+        document.removeEventListener('pointerup', this.handlePointerUp);
+        document.removeEventListener('pointercancel', this.handlePointerCancel);
+        document.removeEventListener('mouseleave', this.handleMouseLeave);
+        document.removeEventListener('touchmove', this.handleTouchMove);
+        document.removeEventListener('touchend', this.handleTouchEnd);
+        document.removeEventListener('touchcancel', this.handleTouchEnd);
+        window.removeEventListener('scroll', this.handleRevealLayoutChange);
+        window.removeEventListener('resize', this.handleRevealLayoutChange);
+        if (this.finePointerQuery) {
+            this.finePointerQuery.removeEventListener('change', this.handlePointerQueryChange);
+        }
+        document.documentElement.classList.remove('ember-cursor-touch');
+        clearTimeout(this.pulseTimeout);
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        if (this.renderer) this.renderer.destroy();
+        this.shockwaves.forEach(ring => ring.remove());
+        this.shockwaves.clear();
+        document.documentElement.style.removeProperty('--ember-reveal-radius');
+        this.setState('default');
+        document.documentElement.style.removeProperty('--ember-trail-blend');
         console.log('🔥 Ember cursor destroyed');
     }
 }
 
+window.EMBER_CURSOR_PRESETS = EMBER_CURSOR_PRESETS;
+window.EMBER_CURSOR_EFFECTS = EMBER_CURSOR_EFFECTS;
+window.EMBER_CURSOR_STATES = EMBER_CURSOR_STATES;
 window.EmberCursor = EmberCursor;
@@ -0,0 +1,199 @@
+/* ============================================
+   EMBER TRAIL RENDERERS
+   Draw the EmberCursor particle pool. The cursor
+   owns the physics; a renderer only turns pool
+   state (x, y, scale, alpha) into pixels
+   ============================================ */
+
+const EMBER_RENDERER_CONFIG = Object.freeze({
+    particleSize: 6,    // Matches .ember-trail-particle width/height
+    glowRadius: 10      // Matches the .ember-trail-particle box-shadow blur
+});
+
+/* ============================================
+   DOM BACKEND
+   One element per particle, styled by .ember-trail-particle
+   ============================================ */
+
+class EmberDOMRenderer {
+    constructor() {
+        this.type = 'dom';
+        this.poolSetting = 'cursorParticles'; // Quality tier field that caps the pool
+        this.elements = [];
+        this.visible = [];
+    }
+
+    resize(count) {
+        // Grow
+        while (this.elements.length < count) {
+            const div = document.createElement('div');
+            // Use external CSS class for theme-aware styles (background, blend-mode)
+            div.className = 'ember-trail-particle';
+            div.style.opacity = '0';
+            document.body.appendChild(div);
+
+            this.elements.push(div);
+            this.visible.push(false);
+        }
+
+        // Shrink
+        if (this.elements.length > count) {
+            this.elements.splice(count).forEach(element => element.remove());
+            this.visible.length = count;
+        }
+    }
+
+    applyTheme() {
+        // The CSS variables on .ember-trail-particle follow the theme on their own
+    }
+
+    draw(pool) {
+        for (let i = 0; i < pool.length; i++) {
+            const p = pool[i];
+            const element = this.elements[i];
+
+            if (p.active) {
+                // Use translate(-50%, -50%) to center particle at p.x, p.y
+                element.style.transform = `translate3d(${p.x}px, ${p.y}px, 0) translate(-50%, -50%) scale(${p.scale})`;
+                element.style.opacity = p.alpha.toFixed(2);
+                this.visible[i] = true;
+            } else if (this.visible[i]) {
+                // Park dead particles once instead of writing every frame
+                element.style.opacity = '0';
+                element.style.transform = 'translate3d(-500px, -500px, 0)';
+                this.visible[i] = false;
+            }
+        }
+    }
+
+    destroy() {
+        this.resize(0);
+    }
+}
+
+/* ============================================
+   CANVAS BACKEND
+   A single fixed canvas; every particle is a copy
+   of one pre-rendered sprite, so pools of several
+   hundred particles cost one drawImage each
+   ============================================ */
+
+class EmberCanvasRenderer {
+    static isSupported() {
+        const canvas = document.createElement('canvas');
+        return !!(canvas.getContext && canvas.getContext('2d'));
+    }
+
+    constructor() {
+        this.type = 'canvas';
+        this.poolSetting = 'cursorCanvasParticles';
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.className = 'ember-trail-canvas';
+        this.canvas.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(this.canvas);
+
+        this.context = this.canvas.getContext('2d');
+        if (!this.context) {
+            this.canvas.remove();
+            throw new Error('Canvas 2D context unavailable');
+        }
+
+        this.sprite = null;
+        this.spriteSize = 0;     // CSS pixels at scale 1
+        this.pixelRatio = 1;
+        this.hasContent = false; // Skip clearing an already empty canvas
+
+        this.handleResize = this.handleResize.bind(this);
+        window.addEventListener('resize', this.handleResize, { passive: true });
+
+        this.handleResize();
+    }
+
+    handleResize() {
+        this.pixelRatio = Math.min(window.devicePixelRatio || 1, 2);
+        this.canvas.width = Math.round(window.innerWidth * this.pixelRatio);
+        this.canvas.height = Math.round(window.innerHeight * this.pixelRatio);
+        this.hasContent = false;
+
+        // The sprite is rendered at device resolution
+        this.applyTheme();
+    }
+
+    resize() {
+        // The canvas draws any number of particles; nothing to allocate
+    }
+
+    /**
+     * Re-render the particle sprite from the same variables .ember-trail-particle uses.
+     * Blend mode is applied to the canvas element by the .ember-trail-canvas class.
+     */
+    applyTheme() {
+        const styles = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+        const start = read('--ember-p-start', '#ffd9a0');
+        const end = read('--ember-p-end', 'rgba(255, 69, 0, 0)');
+        const shadow = read('--ember-shadow', 'rgba(255, 120, 0, 0.6)');
+
+        const { particleSize, glowRadius } = EMBER_RENDERER_CONFIG;
+        const radius = particleSize / 2;
+        const size = particleSize + glowRadius * 2;
+        const center = size / 2;
+
+        const sprite = document.createElement('canvas');
+        sprite.width = sprite.height = Math.ceil(size * this.pixelRatio);
+
+        const ctx = sprite.getContext('2d');
+        ctx.scale(this.pixelRatio, this.pixelRatio);
+
+        // Glow (the box-shadow)
+        ctx.shadowColor = shadow;
+        ctx.shadowBlur = glowRadius;
+
+        // Core (the radial-gradient background)
+        const gradient = ctx.createRadialGradient(center, center, 0, center, center, radius);
+        gradient.addColorStop(0, start);
+        gradient.addColorStop(1, end);
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(center, center, radius, 0, Math.PI * 2);
+        ctx.fill();
+
+        this.sprite = sprite;
+        this.spriteSize = size;
+    }
+
+    draw(pool) {
+        const ctx = this.context;
+
+        if (this.hasContent) {
+            ctx.setTransform(1, 0, 0, 1, 0, 0);
+            ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+            this.hasContent = false;
+        }
+
+        ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+
+        for (let i = 0; i < pool.length; i++) {
+            const p = pool[i];
+            if (!p.active) continue;
+
+            const size = this.spriteSize * p.scale;
+            ctx.globalAlpha = p.alpha;
+            ctx.drawImage(this.sprite, p.x - size / 2, p.y - size / 2, size, size);
+            this.hasContent = true;
+        }
+
+        ctx.globalAlpha = 1;
+    }
+
+    destroy() {
+        window.removeEventListener('resize', this.handleResize);
+        this.canvas.remove();
+        this.sprite = null;
+    }
+}
+
+window.EMBER_RENDERER_CONFIG = EMBER_RENDERER_CONFIG;
+window.EmberDOMRenderer = EmberDOMRenderer;
+window.EmberCanvasRenderer = EmberCanvasRenderer;
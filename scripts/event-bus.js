@@ -0,0 +1,122 @@
+/* ============================================
+   SOULSTICK EVENT BUS
+   Shared publish/subscribe channel between systems
+   ============================================ */
+
+/**
+ * Named events and their payloads:
+ *
+ * SCROLL_PROGRESS          { progress: 0-1, direction: 'up' | 'down' }
+ * SECTION_ENTER            { section: string, element: HTMLElement }
+ * SECTION_LEAVE            { section: string, element: HTMLElement }
+ * THEME_CHANGE             { theme: 'dark' | 'light' | 'high-contrast', preference: 'system' | 'dark' | 'light' | 'high-contrast' }
+ * PERFORMANCE_TIER_CHANGE  { tier: string, previousTier: string|null, settings: Object }
+ * CURSOR_PULSE             { source: string, x?: number, y?: number }
+ * CURSOR_MOVE              { x: number, y: number, active: boolean, inputMode: 'fine' | 'touch' }
+ * RENDER_MODE_CHANGE       { mode: 'standard' | 'cinematic' }
+ * MAGNETIC_ATTRACT         { element: HTMLElement, active: boolean }
+ * MOTION_PREFERENCE_CHANGE { reduced: boolean, preference: 'system' | 'reduce' | 'full' }
+ * SCROLL_ANIMATION_COMPLETE { items: HTMLElement[], reversed: boolean }
+ */
+const SoulstickEvents = Object.freeze({
+    SCROLL_PROGRESS: 'scroll:progress',
+    SECTION_ENTER: 'section:enter',
+    SECTION_LEAVE: 'section:leave',
+    THEME_CHANGE: 'theme:change',
+    PERFORMANCE_TIER_CHANGE: 'performance:tier-change',
+    CURSOR_PULSE: 'cursor:pulse',
+    CURSOR_MOVE: 'cursor:move',
+    RENDER_MODE_CHANGE: 'render:mode-change',
+    MAGNETIC_ATTRACT: 'magnetic:attract',
+    MOTION_PREFERENCE_CHANGE: 'motion:preference-change',
+    SCROLL_ANIMATION_COMPLETE: 'scroll:animation-complete'
+});
+
+class EventBus {
+    constructor(events = {}) {
+        this.knownEvents = new Set(Object.values(events));
+        this.listeners = new Map();
+
+        // Last payload per event, so late subscribers can catch up
+        this.lastPayloads = new Map();
+    }
+
+    /**
+     * Subscribe to an event.
+     *
+     * @param {string} event - One of SoulstickEvents
+     * @param {Function} handler - Receives the event payload
+     * @param {Object} [options]
+     * @param {boolean} [options.replay] - Immediately call handler with the last emitted payload
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, handler, { replay = false } = {}) {
+        this.assertKnown(event);
+
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(handler);
+
+        if (replay && this.lastPayloads.has(event)) {
+            this.invoke(event, handler, this.lastPayloads.get(event));
+        }
+
+        return () => this.off(event, handler);
+    }
+
+    once(event, handler) {
+        const unsubscribe = this.on(event, (payload) => {
+            unsubscribe();
+            handler(payload);
+        });
+        return unsubscribe;
+    }
+
+    off(event, handler) {
+        const handlers = this.listeners.get(event);
+        if (handlers) {
+            handlers.delete(handler);
+        }
+    }
+
+    emit(event, payload = {}) {
+        this.assertKnown(event);
+        this.lastPayloads.set(event, payload);
+
+        const handlers = this.listeners.get(event);
+        if (!handlers) return;
+
+        // Copy so handlers can unsubscribe while we iterate
+        [...handlers].forEach(handler => this.invoke(event, handler, payload));
+    }
+
+    invoke(event, handler, payload) {
+        // A failing subscriber must never break the publisher
+        try {
+            handler(payload);
+        } catch (error) {
+            console.warn(`Event handler for "${event}" failed:`, error);
+        }
+    }
+
+    assertKnown(event) {
+        if (this.knownEvents.size && !this.knownEvents.has(event)) {
+            console.warn(`Unknown event "${event}"`);
+        }
+    }
+
+    getLast(event) {
+        return this.lastPayloads.get(event);
+    }
+
+    clear() {
+        this.listeners.clear();
+        this.lastPayloads.clear();
+    }
+}
+
+// Export for global access
+window.SoulstickEvents = SoulstickEvents;
+window.EventBus = EventBus;
+window.soulstickBus = new EventBus(SoulstickEvents);
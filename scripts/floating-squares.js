@@ -9,6 +9,25 @@ class FloatingSquares {
         if (!this.container) return;
 
         this.squareCount = 30; // Number of squares to generate
+        this.isReducedMotion = false; // MotionPreference: no squares at all
+        this.isHighContrast = false;  // High-contrast theme: nothing drifting behind text
+        this.isActive = false;
+        this.unsubscribers = [];
+
+        // Quality governor decides how many squares we can afford
+        const tierChange = window.soulstickBus && soulstickBus.getLast(SoulstickEvents.PERFORMANCE_TIER_CHANGE);
+        if (tierChange && tierChange.settings) {
+            this.squareCount = tierChange.settings.floatingSquares;
+        }
+        const motionChange = window.soulstickBus && soulstickBus.getLast(SoulstickEvents.MOTION_PREFERENCE_CHANGE);
+        if (motionChange) {
+            this.isReducedMotion = motionChange.reduced;
+        }
+        const themeChange = window.soulstickBus && soulstickBus.getLast(SoulstickEvents.THEME_CHANGE);
+        if (themeChange) {
+            this.isHighContrast = themeChange.theme === 'high-contrast';
+        }
+
         this.init();
     }
 
@@ -20,64 +39,114 @@ class FloatingSquares {
         }
 
         this.createSquares();
+        this.isActive = true;
+
+        if (window.soulstickBus) {
+            this.unsubscribers.push(
+                soulstickBus.on(SoulstickEvents.PERFORMANCE_TIER_CHANGE, ({ settings }) => {
+                    if (settings) this.setCount(settings.floatingSquares);
+                }),
+                soulstickBus.on(SoulstickEvents.MOTION_PREFERENCE_CHANGE, ({ reduced }) => {
+                    this.isReducedMotion = reduced;
+                    this.syncSquares();
+                }),
+                soulstickBus.on(SoulstickEvents.THEME_CHANGE, ({ theme }) => {
+                    this.isHighContrast = theme === 'high-contrast';
+                    this.syncSquares();
+                })
+            );
+        }
+
         console.log('◼️ Floating squares background initialized');
     }
 
+    getVisibleCount() {
+        return this.isReducedMotion || this.isHighContrast ? 0 : this.squareCount;
+    }
+
     createSquares() {
-        for (let i = 0; i < this.squareCount; i++) {
-            const square = document.createElement('div');
-            square.className = 'floating-square';
-            
-            // Random size between 15px and 50px
-            const size = Math.random() * 35 + 15;
-            square.style.width = `${size}px`;
-            square.style.height = `${size}px`;
-            
-            // Random starting position
-            const startX = Math.random() * window.innerWidth;
-            const startY = Math.random() * window.innerHeight + window.innerHeight; // Start below viewport
-            
-            // Random ending position (move upward and slightly sideways)
-            const endX = startX + (Math.random() * 200 - 100); // Move -100 to +100px horizontally
-            const endY = -100 - Math.random() * 200; // End above viewport
-            
-            // Random duration between 10s and 25s
-            const duration = Math.random() * 15 + 10;
-            
-            // Random delay between 0s and 10s
-            const delay = Math.random() * 10;
-            
-            // Random rotation
-            const rotate = Math.random() * 720 - 360; // -360 to 360 degrees
-            
-            // Set CSS variables for this square
-            square.style.setProperty('--start-x', `${startX}px`);
-            square.style.setProperty('--start-y', `${startY}px`);
-            square.style.setProperty('--end-x', `${endX}px`);
-            square.style.setProperty('--end-y', `${endY}px`);
-            square.style.setProperty('--float-duration', `${duration}s`);
-            square.style.setProperty('--float-delay', `${delay}s`);
-            square.style.setProperty('--rotate', `${rotate}deg`);
-            
-            this.container.appendChild(square);
+        for (let i = 0; i < this.getVisibleCount(); i++) {
+            this.container.appendChild(this.createSquare());
+        }
+    }
+
+    createSquare() {
+        const square = document.createElement('div');
+        square.className = 'floating-square';
+
+        // Random size between 15px and 50px
+        const size = Math.random() * 35 + 15;
+        square.style.width = `${size}px`;
+        square.style.height = `${size}px`;
+
+        // Random starting position
+        const startX = Math.random() * window.innerWidth;
+        const startY = Math.random() * window.innerHeight + window.innerHeight; // Start below viewport
+
+        // Random ending position (move upward and slightly sideways)
+        const endX = startX + (Math.random() * 200 - 100); // Move -100 to +100px horizontally
+        const endY = -100 - Math.random() * 200; // End above viewport
+
+        // Random duration between 10s and 25s
+        const duration = Math.random() * 15 + 10;
+
+        // Random delay between 0s and 10s
+        const delay = Math.random() * 10;
+
+        // Random rotation
+        const rotate = Math.random() * 720 - 360; // -360 to 360 degrees
+
+        // Set CSS variables for this square
+        square.style.setProperty('--start-x', `${startX}px`);
+        square.style.setProperty('--start-y', `${startY}px`);
+        square.style.setProperty('--end-x', `${endX}px`);
+        square.style.setProperty('--end-y', `${endY}px`);
+        square.style.setProperty('--float-duration', `${duration}s`);
+        square.style.setProperty('--float-delay', `${delay}s`);
+        square.style.setProperty('--rotate', `${rotate}deg`);
+
+        return square;
+    }
+
+    setCount(count) {
+        this.squareCount = Math.max(0, Math.floor(count));
+        this.syncSquares();
+    }
+
+    syncSquares() {
+        if (!this.isActive) return;
+
+        const count = this.getVisibleCount();
+        const squares = this.container.querySelectorAll('.floating-square');
+
+        // Add missing squares
+        for (let i = squares.length; i < count; i++) {
+            this.container.appendChild(this.createSquare());
+        }
+
+        // Remove extras
+        for (let i = count; i < squares.length; i++) {
+            squares[i].remove();
         }
     }
 
+    pause() {
+        if (this.container) this.container.classList.add('is-paused');
+    }
+
+    resume() {
+        if (this.container) this.container.classList.remove('is-paused');
+    }
+
     destroy() {
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+
         if (this.container) {
             this.container.innerHTML = '';
         }
     }
 }
 
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        window.floatingSquares = new FloatingSquares();
-    });
-} else {
-    window.floatingSquares = new FloatingSquares();
-}
-
-// Export for manual initialization
+// Export for registration with SoulstickApp's system registry
 window.FloatingSquares = FloatingSquares;
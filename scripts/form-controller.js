@@ -0,0 +1,214 @@
+/* ============================================
+   FORM CONTROLLER
+   Binds every <form data-form="..."> to one
+   handler: validation, submission and feedback
+   ============================================ */
+
+const FORM_CONTROLLER_CONFIG = Object.freeze({
+    selector: 'form[data-form]',
+    emailPattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+});
+
+/**
+ * What each purpose collects and says back. A form opts in with
+ * data-form="contact" or data-form="newsletter"; the adapter still comes
+ * from data-form-adapter (see FormSubmitter).
+ *
+ * fields     name -> { label, required, type: 'email', minLength }
+ * subject    Subject line when it goes out by email
+ * messages   Overrides for FORM_SUBMISSION_MESSAGES
+ */
+const FORM_PURPOSES = Object.freeze({
+    contact: {
+        fields: {
+            name: { label: 'Name', required: true },
+            email: { label: 'Email', required: true, type: 'email' },
+            message: { label: 'Message', required: true, minLength: 10 }
+        },
+        subject: (fields) => `${FORM_SUBMISSION_CONFIG.subjectPrefix}: ${fields.name}`
+    },
+    newsletter: {
+        fields: {
+            email: { label: 'Email', required: true, type: 'email' }
+        },
+        subject: () => 'Newsletter signup from Soulstick Website',
+        messages: {
+            loading: 'Signing you up…',
+            sent: 'You\'re on the list. Watch your inbox for news from the forge.',
+            handedOff: 'Your email app should open with your signup ready to send.',
+            fallback: 'We couldn\'t sign you up. Opening your email app instead.'
+        }
+    }
+});
+
+class FormController {
+    constructor(submitter = window.formSubmitter) {
+        this.submitter = submitter;
+        this.forms = new Map();         // form -> { purpose, config }
+
+        // Bind methods once
+        this.handleSubmit = this.handleSubmit.bind(this);
+        this.handleInput = this.handleInput.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        document.querySelectorAll(FORM_CONTROLLER_CONFIG.selector).forEach(form => this.bind(form));
+        console.log(`📨 Form controller initialized (${this.forms.size} forms)`);
+    }
+
+    /**
+     * Take over a form. Safe to call again for forms added later.
+     * @param {HTMLFormElement} form
+     */
+    bind(form) {
+        if (this.forms.has(form)) return;
+
+        const purpose = form.dataset.form;
+        const config = FORM_PURPOSES[purpose];
+        if (!config) {
+            console.warn(`Unknown form purpose "${purpose}"`);
+            return;
+        }
+
+        Object.keys(config.fields).forEach(name => {
+            if (!form.elements[name]) {
+                console.warn(`${purpose} form is missing its "${name}" field`);
+            }
+        });
+
+        // Validation messages are ours, so they match the site and reach screen readers
+        form.noValidate = true;
+        form.addEventListener('submit', this.handleSubmit);
+        form.addEventListener('input', this.handleInput);
+
+        this.forms.set(form, { purpose, config });
+    }
+
+    /* ============================================
+       SUBMISSION
+       ============================================ */
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        const form = e.currentTarget;
+        const { config } = this.forms.get(form);
+        const fields = this.readFields(form, config);
+        const errors = this.validate(fields, config);
+
+        this.showErrors(form, config, errors);
+        if (Object.keys(errors).length) {
+            const firstInvalid = form.elements[Object.keys(errors)[0]];
+            if (firstInvalid) firstInvalid.focus();
+            return;
+        }
+
+        if (!this.submitter) {
+            console.warn('📨 No form submitter available');
+            return;
+        }
+
+        // The submitter owns the loading, success and failure states
+        await this.submitter.submit(form, {
+            fields,
+            subject: config.subject(fields),
+            messages: config.messages
+        });
+    }
+
+    readFields(form, config) {
+        const fields = {};
+        Object.keys(config.fields).forEach(name => {
+            const field = form.elements[name];
+            fields[name] = field ? field.value.trim() : '';
+        });
+        return fields;
+    }
+
+    /* ============================================
+       VALIDATION
+       ============================================ */
+
+    /**
+     * @returns {Object} field name -> message, empty when everything passes
+     */
+    validate(fields, config) {
+        const errors = {};
+
+        Object.entries(config.fields).forEach(([name, rules]) => {
+            const value = fields[name];
+
+            if (!value) {
+                if (rules.required) errors[name] = `${rules.label} is required`;
+            } else if (rules.type === 'email' && !this.validateEmail(value)) {
+                errors[name] = 'Please enter a valid email address';
+            } else if (rules.minLength && value.length < rules.minLength) {
+                errors[name] = `${rules.label} needs at least ${rules.minLength} characters`;
+            }
+        });
+
+        return errors;
+    }
+
+    validateEmail(email) {
+        return FORM_CONTROLLER_CONFIG.emailPattern.test(email);
+    }
+
+    handleInput(e) {
+        const field = e.target;
+        if (field.getAttribute('aria-invalid') !== 'true') return;
+
+        // Clear as soon as the field is fixed, but don't nag while it's still being typed
+        const { config } = this.forms.get(e.currentTarget);
+        const rules = config.fields[field.name];
+        if (!rules) return;
+
+        const errors = this.validate({ [field.name]: field.value.trim() }, { fields: { [field.name]: rules } });
+        if (!errors[field.name]) this.setFieldError(e.currentTarget, field, null);
+    }
+
+    showErrors(form, config, errors) {
+        Object.keys(config.fields).forEach(name => {
+            const field = form.elements[name];
+            if (field) this.setFieldError(form, field, errors[name] || null);
+        });
+    }
+
+    setFieldError(form, field, message) {
+        const id = `${form.getAttribute('name') || form.dataset.form}-${field.name}-error`;
+        let error = document.getElementById(id);
+
+        if (!message) {
+            field.removeAttribute('aria-invalid');
+            field.removeAttribute('aria-describedby');
+            if (error) error.remove();
+            return;
+        }
+
+        if (!error) {
+            error = document.createElement('p');
+            error.id = id;
+            error.className = 'field-error';
+            field.insertAdjacentElement('afterend', error);
+        }
+
+        error.textContent = message;
+        field.setAttribute('aria-invalid', 'true');
+        field.setAttribute('aria-describedby', id);
+    }
+
+    destroy() {
+        this.forms.forEach((entry, form) => {
+            form.removeEventListener('submit', this.handleSubmit);
+            form.removeEventListener('input', this.handleInput);
+        });
+        this.forms.clear();
+        console.log('📨 Form controller destroyed');
+    }
+}
+
+window.FORM_CONTROLLER_CONFIG = FORM_CONTROLLER_CONFIG;
+window.FORM_PURPOSES = FORM_PURPOSES;
+window.FormController = FormController;
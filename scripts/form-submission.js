@@ -0,0 +1,288 @@
+/* ============================================
+   FORM SUBMISSION
+   Interchangeable delivery adapters (mailto,
+   JSON POST, Netlify Forms, mock) with loading,
+   success and failure states in the form
+   ============================================ */
+
+const FORM_SUBMISSION_CONFIG = Object.freeze({
+    adapter: 'mailto',                              // Default when a form doesn't set data-form-adapter
+    mailto: 'soulstickinteractive@gmail.com',
+    subjectPrefix: 'Inquiry from Soulstick Website',
+    timeout: 10000,                                 // ms before a network adapter gives up
+    fallbackToMailto: true,                         // Failed network submissions reopen as an email
+    mockDelay: 800                                  // ms the mock adapter pretends to take
+});
+
+// Status text per outcome; a submit() caller can override any of them
+const FORM_SUBMISSION_MESSAGES = Object.freeze({
+    loading: 'Sending…',
+    sent: 'Message sent. We\'ll be in touch soon.',
+    handedOff: 'Your email app should open with the message ready to send.',
+    fallback: 'We couldn\'t send that. Opening your email app instead.',
+    error: 'Something went wrong. Please try again.'
+});
+
+/**
+ * Declarations read from the <form> (all optional):
+ *
+ * data-form-adapter="netlify"    mailto | json | netlify | mock
+ * data-form-endpoint="/api/..."  URL for the json adapter
+ * name="contact"                 Netlify form name (the form-name field)
+ * data-form-mock="fail"          Make the mock adapter fail, to test the mailto fallback
+ */
+
+/* ============================================
+   ADAPTERS
+   submit(fields, form, options) resolves with { delivered }:
+   true once a server accepted it, false when it was
+   only handed to the visitor's mail client
+   ============================================ */
+
+class MailtoAdapter {
+    constructor() {
+        this.type = 'mailto';
+        this.isNetwork = false;
+    }
+
+    async submit(fields, form, { subject: customSubject } = {}) {
+        const { name, email, message, ...extra } = fields;
+        const subject = encodeURIComponent(
+            customSubject || (name ? `${FORM_SUBMISSION_CONFIG.subjectPrefix}: ${name}` : FORM_SUBMISSION_CONFIG.subjectPrefix)
+        );
+
+        // Only the fields the form has, so a signup doesn't mail an empty Name or Message
+        const lines = [];
+        if (name) lines.push(`Name: ${name}`);
+        if (email) lines.push(`Email: ${email}`);
+        Object.entries(extra).forEach(([field, value]) => {
+            if (value) lines.push(`${field}: ${value}`);
+        });
+        if (message) lines.push('', `Message:\n${message}`);
+
+        const body = encodeURIComponent(lines.join('\n'));
+
+        window.location.href = `mailto:${FORM_SUBMISSION_CONFIG.mailto}?subject=${subject}&body=${body}`;
+        return { delivered: false };
+    }
+}
+
+class JsonPostAdapter {
+    constructor() {
+        this.type = 'json';
+        this.isNetwork = true;
+    }
+
+    async submit(fields, form, { signal } = {}) {
+        const endpoint = form.dataset.formEndpoint;
+        if (!endpoint) {
+            throw new Error('JSON form adapter needs data-form-endpoint');
+        }
+
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+            body: JSON.stringify(fields),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Form endpoint responded ${response.status}`);
+        }
+        return { delivered: true };
+    }
+}
+
+class NetlifyFormsAdapter {
+    constructor() {
+        this.type = 'netlify';
+        this.isNetwork = true;
+    }
+
+    async submit(fields, form, { signal } = {}) {
+        // Netlify matches the submission to the form detected at deploy time by form-name
+        const body = new URLSearchParams({ 'form-name': form.getAttribute('name') || 'contact', ...fields });
+
+        const response = await fetch('/', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: body.toString(),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Netlify Forms responded ${response.status}`);
+        }
+        return { delivered: true };
+    }
+}
+
+class MockAdapter {
+    constructor() {
+        this.type = 'mock';
+        this.isNetwork = true;
+    }
+
+    submit(fields, form, { signal } = {}) {
+        return new Promise((resolve, reject) => {
+            const timeout = setTimeout(() => {
+                const shouldFail = form.dataset.formMock === 'fail';
+
+                // Field names only: the values are the visitor's personal details
+                console.log(`📨 Mock form submission (${Object.keys(fields).join(', ')}): ${shouldFail ? 'failed' : 'delivered'}`);
+                if (shouldFail) {
+                    reject(new Error('Mock form adapter failure'));
+                } else {
+                    resolve({ delivered: true });
+                }
+            }, FORM_SUBMISSION_CONFIG.mockDelay);
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timeout);
+                    reject(new Error('Mock form submission aborted'));
+                });
+            }
+        });
+    }
+}
+
+const FORM_SUBMISSION_ADAPTERS = Object.freeze({
+    mailto: MailtoAdapter,
+    json: JsonPostAdapter,
+    netlify: NetlifyFormsAdapter,
+    mock: MockAdapter
+});
+
+/* ============================================
+   SUBMITTER
+   ============================================ */
+
+class FormSubmitter {
+    constructor() {
+        this.adapterOverride = null;    // setAdapter(), for testing from the console
+        this.pending = new Set();       // Forms with a submission in flight
+    }
+
+    getAdapter(form) {
+        const type = this.adapterOverride || form.dataset.formAdapter || FORM_SUBMISSION_CONFIG.adapter;
+        const Adapter = FORM_SUBMISSION_ADAPTERS[type];
+
+        if (!Adapter) {
+            console.warn(`Unknown form adapter "${type}", using mailto`);
+            return new MailtoAdapter();
+        }
+        return new Adapter();
+    }
+
+    /**
+     * Send a form through its adapter, reflecting progress in the form.
+     * @param {HTMLFormElement} form
+     * @param {Object} [options]
+     * @param {Object} [options.fields] - Values to send; defaults to everything in the form
+     * @param {string} [options.subject] - Subject line when it goes out by email
+     * @param {Object} [options.messages] - Overrides for FORM_SUBMISSION_MESSAGES
+     * @returns {Promise<'success'|'fallback'|'error'|null>} null when already sending
+     */
+    async submit(form, { fields, subject, messages = {} } = {}) {
+        if (this.pending.has(form)) return null;
+        this.pending.add(form);
+
+        if (!fields) {
+            fields = Object.fromEntries(new FormData(form));
+            // Netlify injects form-name at deploy time; adapters that need it add their own
+            delete fields['form-name'];
+        }
+        const adapter = this.getAdapter(form);
+        const text = { ...FORM_SUBMISSION_MESSAGES, ...messages };
+
+        this.setState(form, 'loading', text.loading);
+
+        try {
+            const { delivered } = await this.send(adapter, fields, form, subject);
+            this.setState(form, 'success', delivered ? text.sent : text.handedOff);
+            if (delivered) form.reset();
+
+            if (window.soulstickBus) {
+                soulstickBus.emit(SoulstickEvents.CURSOR_PULSE, { source: 'form' });
+            }
+            return 'success';
+        } catch (error) {
+            console.warn(`Form submission via ${adapter.type} failed:`, error.message);
+
+            if (adapter.isNetwork && FORM_SUBMISSION_CONFIG.fallbackToMailto) {
+                this.setState(form, 'fallback', text.fallback);
+                await new MailtoAdapter().submit(fields, form, { subject });
+                return 'fallback';
+            }
+
+            this.setState(form, 'error', text.error);
+            return 'error';
+        } finally {
+            this.pending.delete(form);
+        }
+    }
+
+    async send(adapter, fields, form, subject) {
+        // Network adapters get an abort signal so a hung request can't block the form
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timeout = controller && setTimeout(() => controller.abort(), FORM_SUBMISSION_CONFIG.timeout);
+
+        try {
+            return await adapter.submit(fields, form, { signal: controller && controller.signal, subject });
+        } finally {
+            clearTimeout(timeout);
+        }
+    }
+
+    /* ============================================
+       FORM UI STATE
+       ============================================ */
+
+    setState(form, state, message) {
+        form.dataset.formState = state;
+        form.setAttribute('aria-busy', String(state === 'loading'));
+
+        const button = form.querySelector('[type="submit"]');
+        if (button) {
+            button.disabled = state === 'loading';
+        }
+
+        this.getStatusElement(form).textContent = message;
+    }
+
+    getStatusElement(form) {
+        let status = form.querySelector('.form-status');
+
+        // Announced politely as the state changes
+        if (!status) {
+            status = document.createElement('p');
+            status.className = 'form-status';
+            status.setAttribute('role', 'status');
+            status.setAttribute('aria-live', 'polite');
+            form.appendChild(status);
+        }
+        return status;
+    }
+
+    /**
+     * Route every form through one adapter, e.g. setAdapter('mock'); null restores the forms' own.
+     */
+    setAdapter(type) {
+        if (type !== null && !FORM_SUBMISSION_ADAPTERS[type]) {
+            console.warn(`Unknown form adapter "${type}"`);
+            return;
+        }
+        this.adapterOverride = type;
+    }
+}
+
+window.FORM_SUBMISSION_CONFIG = FORM_SUBMISSION_CONFIG;
+window.FORM_SUBMISSION_MESSAGES = FORM_SUBMISSION_MESSAGES;
+window.FORM_SUBMISSION_ADAPTERS = FORM_SUBMISSION_ADAPTERS;
+window.MailtoAdapter = MailtoAdapter;
+window.JsonPostAdapter = JsonPostAdapter;
+window.NetlifyFormsAdapter = NetlifyFormsAdapter;
+window.MockAdapter = MockAdapter;
+window.FormSubmitter = FormSubmitter;
+window.formSubmitter = new FormSubmitter();
@@ -0,0 +1,300 @@
+/* ============================================
+   MAGNETIC ELEMENTS
+   Spring-driven pull toward the pointer for
+   [data-magnetic] elements, batched in one loop
+   ============================================ */
+
+const MAGNETIC_CONFIG = Object.freeze({
+    // data-magnetic opts in; the site's buttons and links are magnetic by default.
+    // data-magnetic="off" opts an element out.
+    selector: '[data-magnetic], button, .nav-link, .contact-link',
+    strength: 0.3,          // Share of the pointer's offset from the element center (data-magnetic-strength)
+    radius: 60,             // px beyond the element's edges where the pull starts (data-magnetic-radius)
+    stiffness: 170,         // Spring constant, per s²
+    damping: 14,            // Per s; lower values overshoot more on snap-back
+    restDistance: 0.05,     // px; a spring this close to its target and this slow sleeps
+    maxStep: 1 / 30         // s; a stalled frame can't launch an element
+});
+
+class MagneticElements {
+    constructor() {
+        this.items = [];
+        this.pointer = { x: 0, y: 0, isInside: false };
+        this.attracted = null;
+
+        this.rafId = null;
+        this.lastFrameTime = 0;
+        this.isPaused = false;
+        this.isEnabled = false;
+        this.unsubscribers = [];
+
+        // Bind methods once
+        this.tick = this.tick.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+        this.handleScroll = this.handleScroll.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.refresh();
+
+        document.addEventListener('pointermove', this.handlePointerMove, { passive: true });
+        document.addEventListener('mouseleave', this.handlePointerLeave, { passive: true });
+        window.addEventListener('scroll', this.handleScroll, { passive: true });
+
+        // Reduced motion (MotionPreference) keeps every element in place
+        const motionChange = window.soulstickBus && soulstickBus.getLast(SoulstickEvents.MOTION_PREFERENCE_CHANGE);
+        this.setEnabled(!(motionChange && motionChange.reduced));
+
+        if (window.soulstickBus) {
+            this.unsubscribers.push(
+                soulstickBus.on(SoulstickEvents.MOTION_PREFERENCE_CHANGE, ({ reduced }) => {
+                    this.setEnabled(!reduced);
+                })
+            );
+        }
+
+        console.log(`🧲 Magnetic elements initialized (${this.items.length} elements)`);
+    }
+
+    /**
+     * Re-scan the page for magnetic elements (call after adding some, or after
+     * changing their data-magnetic-strength / data-magnetic-radius).
+     */
+    refresh() {
+        const previous = new Map(this.items.map(item => [item.element, item]));
+
+        this.items = Array.from(document.querySelectorAll(MAGNETIC_CONFIG.selector))
+            .filter(element => element.dataset.magnetic !== 'off')
+            .map(element => {
+                element.classList.add('magnetic-element');
+                const item = previous.get(element) || { element, x: 0, y: 0, vx: 0, vy: 0, targetX: 0, targetY: 0, renderedX: 0, renderedY: 0 };
+
+                // Parsed once here rather than every frame; an explicit 0 switches the pull off
+                item.radius = this.readSetting(element.dataset.magneticRadius, MAGNETIC_CONFIG.radius);
+                item.strength = this.readSetting(element.dataset.magneticStrength, MAGNETIC_CONFIG.strength);
+                return item;
+            });
+
+        // Elements that were removed or opted out snap home
+        previous.forEach((item, element) => {
+            if (!this.items.includes(item)) this.resetElement(element);
+        });
+    }
+
+    readSetting(value, fallback) {
+        const number = parseFloat(value);
+        return Number.isNaN(number) ? fallback : number;
+    }
+
+    /* ============================================
+       INPUT
+       ============================================ */
+
+    handlePointerMove(e) {
+        // Touch has no hover to pull toward
+        if (e.pointerType !== 'mouse') return;
+
+        this.pointer.x = e.clientX;
+        this.pointer.y = e.clientY;
+        this.pointer.isInside = true;
+        this.requestFrame();
+    }
+
+    handlePointerLeave() {
+        this.pointer.isInside = false;
+        this.requestFrame();
+    }
+
+    handleScroll() {
+        // The page can carry an element into (or out of) a still pointer's reach
+        if (this.pointer.isInside || this.attracted) this.requestFrame();
+    }
+
+    /* ============================================
+       SIMULATION
+       ============================================ */
+
+    requestFrame() {
+        if (this.rafId || !this.isEnabled || this.isPaused) return;
+
+        this.lastFrameTime = performance.now();
+        this.rafId = requestAnimationFrame(this.tick);
+    }
+
+    tick(now) {
+        this.rafId = null;
+
+        const dt = Math.min((now - this.lastFrameTime) / 1000, MAGNETIC_CONFIG.maxStep);
+        this.lastFrameTime = now;
+
+        // Read: every rect first, so layout is computed once per frame
+        const rects = this.items.map(item => item.element.getBoundingClientRect());
+
+        this.updateTargets(rects);
+        const isMoving = this.updateSprings(dt);
+
+        // Write (resting elements are skipped)
+        this.items.forEach(item => {
+            if (item.x === item.renderedX && item.y === item.renderedY) return;
+            item.renderedX = item.x;
+            item.renderedY = item.y;
+            item.element.style.setProperty('--attract-x', `${item.x.toFixed(2)}px`);
+            item.element.style.setProperty('--attract-y', `${item.y.toFixed(2)}px`);
+        });
+
+        // Sleep once everything has settled; the next pointer move or scroll wakes the loop
+        if (isMoving) {
+            this.rafId = requestAnimationFrame(this.tick);
+        }
+    }
+
+    updateTargets(rects) {
+        let closest = null;
+        let closestDistance = Infinity;
+
+        this.items.forEach((item, i) => {
+            const { element, radius, strength } = item;
+            const rect = rects[i];
+
+            // The rect includes the current pull; measure from the resting position
+            const left = rect.left - item.x;
+            const top = rect.top - item.y;
+            const centerX = left + rect.width / 2;
+            const centerY = top + rect.height / 2;
+
+            // Distance to the element's edges (0 inside)
+            const outsideX = Math.max(left - this.pointer.x, 0, this.pointer.x - (left + rect.width));
+            const outsideY = Math.max(top - this.pointer.y, 0, this.pointer.y - (top + rect.height));
+            const distance = Math.hypot(outsideX, outsideY);
+
+            if (!this.pointer.isInside || distance >= radius) {
+                item.targetX = 0;
+                item.targetY = 0;
+                return;
+            }
+
+            const falloff = 1 - distance / radius;
+            item.targetX = (this.pointer.x - centerX) * strength * falloff;
+            item.targetY = (this.pointer.y - centerY) * strength * falloff;
+
+            if (distance < closestDistance) {
+                closestDistance = distance;
+                closest = element;
+            }
+        });
+
+        this.setAttracted(closest);
+    }
+
+    updateSprings(dt) {
+        const { stiffness, damping, restDistance } = MAGNETIC_CONFIG;
+        let isMoving = false;
+
+        this.items.forEach(item => {
+            // Semi-implicit Euler: velocity first, then position
+            item.vx += ((item.targetX - item.x) * stiffness - item.vx * damping) * dt;
+            item.vy += ((item.targetY - item.y) * stiffness - item.vy * damping) * dt;
+            item.x += item.vx * dt;
+            item.y += item.vy * dt;
+
+            const offset = Math.hypot(item.targetX - item.x, item.targetY - item.y);
+            const speed = Math.hypot(item.vx, item.vy);
+
+            if (offset < restDistance && speed < restDistance) {
+                item.x = item.targetX;
+                item.y = item.targetY;
+                item.vx = 0;
+                item.vy = 0;
+            } else {
+                isMoving = true;
+            }
+        });
+
+        return isMoving;
+    }
+
+    setAttracted(element) {
+        if (element === this.attracted) return;
+
+        if (this.attracted) {
+            this.attracted.classList.remove('magnetic-attracted');
+            this.emitAttract(this.attracted, false);
+        }
+
+        this.attracted = element;
+
+        if (element) {
+            element.classList.add('magnetic-attracted');
+            this.emitAttract(element, true);
+        }
+    }
+
+    emitAttract(element, active) {
+        // EmberCursor shows its hover state while an element pulls
+        if (window.soulstickBus) {
+            soulstickBus.emit(SoulstickEvents.MAGNETIC_ATTRACT, { element, active });
+        }
+    }
+
+    resetElement(element) {
+        element.classList.remove('magnetic-attracted');
+        element.style.removeProperty('--attract-x');
+        element.style.removeProperty('--attract-y');
+    }
+
+    /* ============================================
+       CONTROL
+       ============================================ */
+
+    setEnabled(enabled) {
+        this.isEnabled = enabled;
+
+        if (enabled) {
+            this.requestFrame();
+            return;
+        }
+
+        // Reduced motion: everything back home, no loop
+        this.stopLoop();
+        this.setAttracted(null);
+        this.items.forEach(item => {
+            Object.assign(item, { x: 0, y: 0, vx: 0, vy: 0, targetX: 0, targetY: 0, renderedX: 0, renderedY: 0 });
+            this.resetElement(item.element);
+        });
+    }
+
+    stopLoop() {
+        if (this.rafId) {
+            cancelAnimationFrame(this.rafId);
+            this.rafId = null;
+        }
+    }
+
+    pause() {
+        this.isPaused = true;
+        this.stopLoop();
+    }
+
+    resume() {
+        this.isPaused = false;
+        this.requestFrame();
+    }
+
+    destroy() {
+        this.setEnabled(false);
+        document.removeEventListener('pointermove', this.handlePointerMove);
+        document.removeEventListener('mouseleave', this.handlePointerLeave);
+        window.removeEventListener('scroll', this.handleScroll);
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
+        this.items.forEach(item => item.element.classList.remove('magnetic-element'));
+        this.items = [];
+        console.log('🧲 Magnetic elements destroyed');
+    }
+}
+
+window.MAGNETIC_CONFIG = MAGNETIC_CONFIG;
+window.MagneticElements = MagneticElements;
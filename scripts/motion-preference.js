@@ -0,0 +1,143 @@
+/* ============================================
+   MOTION PREFERENCE
+   One source of truth for reduced motion: the OS
+   setting, unless the visitor overrides it
+   ============================================ */
+
+const MOTION_PREFERENCE_CONFIG = Object.freeze({
+    storageKey: 'soulstick-motion',         // Also read by the inline script in <head>
+    query: '(prefers-reduced-motion: reduce)',
+    className: 'reduced-motion',            // On <html>; the stylesheets key off it
+    preferences: ['system', 'reduce', 'full']
+});
+
+/**
+ * Systems subscribe to MOTION_PREFERENCE_CHANGE (with replay) and degrade
+ * themselves while `reduced` is true:
+ *
+ * ScrollSync         native scrolling, content shown without reveals or parallax
+ * WebGLAtmosphere    a single static frame
+ * EmberCursor        no trail, bursts or shockwaves
+ * MagneticElements   elements stay put
+ * FloatingSquares    hidden
+ * TripleAPolish      no ambient particles or click ripples
+ */
+class MotionPreference {
+    constructor() {
+        this.systemQuery = window.matchMedia ? window.matchMedia(MOTION_PREFERENCE_CONFIG.query) : null;
+        this.preference = this.readStoredPreference();
+        this.isReduced = null;
+
+        // Bind methods once
+        this.handleSystemChange = this.handleSystemChange.bind(this);
+        this.handleStorage = this.handleStorage.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        if (this.systemQuery) {
+            this.systemQuery.addEventListener('change', this.handleSystemChange);
+        }
+        // Another tab changed the override
+        window.addEventListener('storage', this.handleStorage);
+
+        this.update();
+        console.log(`🐢 Motion preference initialized (${this.isReduced ? 'reduced' : 'full'} motion, ${this.preference})`);
+    }
+
+    readStoredPreference() {
+        try {
+            const stored = localStorage.getItem(MOTION_PREFERENCE_CONFIG.storageKey);
+            return MOTION_PREFERENCE_CONFIG.preferences.includes(stored) ? stored : 'system';
+        } catch (e) {
+            // Storage blocked (privacy mode, sandboxed frames)
+            return 'system';
+        }
+    }
+
+    handleSystemChange() {
+        this.update();
+    }
+
+    handleStorage(e) {
+        if (e.key !== MOTION_PREFERENCE_CONFIG.storageKey) return;
+
+        this.preference = this.readStoredPreference();
+        this.update();
+    }
+
+    update() {
+        const systemReduced = !!(this.systemQuery && this.systemQuery.matches);
+        const reduced = this.preference === 'reduce' || (this.preference === 'system' && systemReduced);
+
+        document.documentElement.classList.toggle(MOTION_PREFERENCE_CONFIG.className, reduced);
+
+        if (reduced === this.isReduced) return;
+        this.isReduced = reduced;
+
+        if (window.soulstickBus) {
+            soulstickBus.emit(SoulstickEvents.MOTION_PREFERENCE_CHANGE, {
+                reduced,
+                preference: this.preference
+            });
+        }
+    }
+
+    /* ============================================
+       PUBLIC API
+       ============================================ */
+
+    /**
+     * Override the OS setting and remember the choice.
+     * @param {'system'|'reduce'|'full'} preference - 'system' follows the OS again
+     */
+    setPreference(preference) {
+        if (!MOTION_PREFERENCE_CONFIG.preferences.includes(preference)) {
+            console.warn(`Unknown motion preference "${preference}"`);
+            return;
+        }
+
+        this.preference = preference;
+
+        try {
+            if (preference === 'system') {
+                localStorage.removeItem(MOTION_PREFERENCE_CONFIG.storageKey);
+            } else {
+                localStorage.setItem(MOTION_PREFERENCE_CONFIG.storageKey, preference);
+            }
+        } catch (e) {
+            // Applies for this visit only
+        }
+
+        this.update();
+        console.log(`🐢 Motion preference set to ${preference} (${this.isReduced ? 'reduced' : 'full'} motion)`);
+    }
+
+    getPreference() {
+        return this.preference;
+    }
+
+    isReducedMotion() {
+        return this.isReduced;
+    }
+
+    /**
+     * Flip between reduced and full motion as an explicit override.
+     */
+    toggle() {
+        this.setPreference(this.isReduced ? 'full' : 'reduce');
+        return this.isReduced;
+    }
+
+    destroy() {
+        if (this.systemQuery) {
+            this.systemQuery.removeEventListener('change', this.handleSystemChange);
+        }
+        window.removeEventListener('storage', this.handleStorage);
+        console.log('🐢 Motion preference destroyed');
+    }
+}
+
+window.MOTION_PREFERENCE_CONFIG = MOTION_PREFERENCE_CONFIG;
+window.MotionPreference = MotionPreference;
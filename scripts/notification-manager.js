@@ -0,0 +1,389 @@
+/* ============================================
+   NOTIFICATION MANAGER
+   Stacked, queued toasts with screen reader
+   announcements, actions and deduplication
+   ============================================ */
+
+const NOTIFICATION_CONFIG = Object.freeze({
+    maxVisible: 3,          // Further toasts wait in the queue
+    exitDuration: 300,      // ms; matches the .toast transition
+    announceDelay: 100      // ms between clearing and filling a live region, so repeats are read again
+});
+
+// Per-severity defaults. duration 0 keeps the toast until it's dismissed.
+const NOTIFICATION_TYPES = Object.freeze({
+    info: {
+        label: 'Info',
+        duration: 5000,
+        urgent: false,
+        icon: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="12" y1="16" x2="12" y2="12"></line><line x1="12" y1="8" x2="12.01" y2="8"></line></svg>'
+    },
+    success: {
+        label: 'Success',
+        duration: 5000,
+        urgent: false,
+        icon: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"></path><polyline points="22 4 12 14.01 9 11.01"></polyline></svg>'
+    },
+    warning: {
+        label: 'Warning',
+        duration: 7000,
+        urgent: false,
+        icon: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M10.29 3.86L1.82 18a2 2 0 0 0 1.71 3h16.94a2 2 0 0 0 1.71-3L13.71 3.86a2 2 0 0 0-3.42 0z"></path><line x1="12" y1="9" x2="12" y2="13"></line><line x1="12" y1="17" x2="12.01" y2="17"></line></svg>'
+    },
+    error: {
+        label: 'Error',
+        duration: 8000,
+        urgent: true,       // Announced assertively
+        icon: '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"></circle><line x1="15" y1="9" x2="9" y2="15"></line><line x1="9" y1="9" x2="15" y2="15"></line></svg>'
+    }
+});
+
+class NotificationManager {
+    constructor() {
+        this.region = null;             // Visible stack
+        this.politeRegion = null;       // Screen reader announcements
+        this.assertiveRegion = null;
+        this.toasts = new Map();        // id -> toast, visible and queued
+        this.queue = [];                // ids waiting for a free slot
+        this.nextId = 1;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.region = document.createElement('section');
+        this.region.className = 'toast-region';
+        this.region.setAttribute('aria-label', 'Notifications');
+
+        // Announcements go through dedicated live regions: the toasts themselves
+        // are added and removed, which screen readers don't read reliably
+        this.politeRegion = this.createLiveRegion('polite');
+        this.assertiveRegion = this.createLiveRegion('assertive');
+
+        document.body.append(this.region, this.politeRegion, this.assertiveRegion);
+        this.region.addEventListener('keydown', this.handleKeydown);
+
+        console.log('🔔 Notification manager initialized');
+    }
+
+    createLiveRegion(politeness) {
+        const region = document.createElement('div');
+        region.className = 'visually-hidden';
+        region.setAttribute('aria-live', politeness);
+        region.setAttribute('aria-atomic', 'true');
+        region.setAttribute('role', politeness === 'assertive' ? 'alert' : 'status');
+        return region;
+    }
+
+    /**
+     * Show a toast.
+     *
+     * @param {string} message
+     * @param {Object} [options]
+     * @param {'info'|'success'|'warning'|'error'} [options.type]
+     * @param {number} [options.duration] - ms before it closes itself; 0 keeps it open
+     * @param {Array<{label: string, onClick: Function, dismiss?: boolean}>} [options.actions] - Buttons; they close the toast unless dismiss is false
+     * @param {string} [options.key] - Toasts sharing a key replace each other (e.g. 'theme');
+     *                                 defaults to the type and message, so exact repeats are merged
+     * @returns {number} Toast id, for dismiss()
+     */
+    show(message, { type = 'info', duration, actions = [], key } = {}) {
+        if (!NOTIFICATION_TYPES[type]) {
+            console.warn(`Unknown notification type "${type}"`);
+            type = 'info';
+        }
+
+        const dedupeKey = key || `${type}:${message}`;
+        const existing = this.findByKey(dedupeKey);
+        const options = {
+            message,
+            type,
+            duration: duration !== undefined ? duration : NOTIFICATION_TYPES[type].duration,
+            actions
+        };
+
+        if (existing) {
+            this.update(existing, options);
+            return existing.id;
+        }
+
+        const toast = {
+            id: this.nextId++,
+            key: dedupeKey,
+            element: null,
+            parts: null,            // Rendered nodes, updated in place
+            timer: null,
+            remaining: 0,
+            startedAt: 0,
+            pausedBy: new Set(),    // 'hover' and/or 'focus'
+            isClosing: false,
+            count: 1,
+            ...options
+        };
+
+        this.toasts.set(toast.id, toast);
+        this.queue.push(toast.id);
+        this.flushQueue();
+        return toast.id;
+    }
+
+    findByKey(key) {
+        for (const toast of this.toasts.values()) {
+            if (toast.key === key && !toast.isClosing) return toast;
+        }
+        return null;
+    }
+
+    update(toast, options) {
+        const isRepeat = toast.message === options.message && toast.type === options.type;
+        const actionsChanged = !this.isSameActions(toast.actions, options.actions);
+        toast.count = isRepeat ? toast.count + 1 : 1;
+        Object.assign(toast, options);
+
+        // Still queued: it will render with the new content
+        if (!toast.element) return;
+
+        // Rebuilding a focused button would drop focus on <body>, so only what changed is touched
+        this.updateContent(toast);
+        if (actionsChanged) this.renderActions(toast);
+        this.announce(toast);
+        this.startTimer(toast, toast.duration);
+    }
+
+    isSameActions(a, b) {
+        // Buttons look up their handler on click, so only what they show matters
+        return a.length === b.length && a.every((action, i) =>
+            action.label === b[i].label && (action.dismiss !== false) === (b[i].dismiss !== false)
+        );
+    }
+
+    flushQueue() {
+        while (this.queue.length && this.getVisibleCount() < NOTIFICATION_CONFIG.maxVisible) {
+            this.open(this.toasts.get(this.queue.shift()));
+        }
+    }
+
+    getVisibleCount() {
+        let count = 0;
+        this.toasts.forEach(toast => {
+            if (toast.element && !toast.isClosing) count++;
+        });
+        return count;
+    }
+
+    /* ============================================
+       RENDERING
+       ============================================ */
+
+    open(toast) {
+        const element = document.createElement('div');
+        element.className = 'toast';
+        element.dataset.toastId = toast.id;
+
+        element.addEventListener('mouseenter', () => this.pauseTimer(toast, 'hover'));
+        element.addEventListener('mouseleave', () => this.resumeTimer(toast, 'hover'));
+        element.addEventListener('focusin', () => this.pauseTimer(toast, 'focus'));
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) this.resumeTimer(toast, 'focus');
+        });
+
+        toast.element = element;
+        this.renderContent(toast);
+        this.updateContent(toast);
+        this.renderActions(toast);
+        this.region.appendChild(element);
+
+        // Next frame, so the entrance transition runs
+        requestAnimationFrame(() => element.classList.add('is-visible'));
+
+        this.announce(toast);
+        this.startTimer(toast, toast.duration);
+    }
+
+    renderContent(toast) {
+        const { element } = toast;
+
+        const icon = document.createElement('span');
+        icon.className = 'toast-icon';
+        icon.setAttribute('aria-hidden', 'true');
+
+        const body = document.createElement('div');
+        body.className = 'toast-body';
+
+        const message = document.createElement('p');
+        message.className = 'toast-message';
+        const text = document.createTextNode('');
+        const count = document.createElement('span');
+        count.className = 'toast-count';
+        message.append(text, count);
+        body.appendChild(message);
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast-close';
+        close.setAttribute('aria-label', 'Dismiss notification');
+        close.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true"><line x1="18" y1="6" x2="6" y2="18"></line><line x1="6" y1="6" x2="18" y2="18"></line></svg>';
+        close.addEventListener('click', () => this.dismiss(toast.id));
+
+        element.append(icon, body, close);
+        toast.parts = { icon, body, text, count, close, actions: null };
+    }
+
+    updateContent(toast) {
+        const { element, parts } = toast;
+
+        // A deduplicated toast can change type
+        Object.keys(NOTIFICATION_TYPES).forEach(name => element.classList.remove(`toast-${name}`));
+        element.classList.add(`toast-${toast.type}`);
+        parts.icon.innerHTML = NOTIFICATION_TYPES[toast.type].icon;
+
+        parts.text.nodeValue = toast.message;
+        parts.count.textContent = toast.count > 1 ? `×${toast.count}` : '';
+        parts.count.hidden = toast.count <= 1;
+    }
+
+    renderActions(toast) {
+        const { parts } = toast;
+        let hadFocus = false;
+
+        if (parts.actions) {
+            hadFocus = parts.actions.contains(document.activeElement);
+            parts.actions.remove();
+            parts.actions = null;
+        }
+
+        // A focused button that goes away hands focus to the toast's close button
+        if (hadFocus) parts.close.focus();
+
+        if (!toast.actions.length) return;
+
+        const actions = document.createElement('div');
+        actions.className = 'toast-actions';
+
+        toast.actions.forEach(({ label }, i) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'toast-action';
+            button.textContent = label;
+            button.addEventListener('click', () => {
+                // Read on click: an update may have swapped the handler
+                const { onClick, dismiss = true } = toast.actions[i];
+                if (typeof onClick === 'function') onClick();
+                if (dismiss) this.dismiss(toast.id);
+            });
+            actions.appendChild(button);
+        });
+
+        parts.body.appendChild(actions);
+        parts.actions = actions;
+    }
+
+    announce(toast) {
+        const type = NOTIFICATION_TYPES[toast.type];
+        const region = type.urgent ? this.assertiveRegion : this.politeRegion;
+
+        // Clearing first makes a repeated message count as a change
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = `${type.label}: ${toast.message}`;
+        }, NOTIFICATION_CONFIG.announceDelay);
+    }
+
+    /* ============================================
+       TIMERS (PAUSED ON HOVER AND FOCUS)
+       ============================================ */
+
+    startTimer(toast, duration) {
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = duration;
+
+        if (!duration || toast.pausedBy.size) return;
+
+        toast.startedAt = performance.now();
+        toast.timer = setTimeout(() => this.dismiss(toast.id), duration);
+    }
+
+    pauseTimer(toast, reason) {
+        toast.pausedBy.add(reason);
+
+        if (toast.timer) {
+            clearTimeout(toast.timer);
+            toast.timer = null;
+            toast.remaining = Math.max(0, toast.remaining - (performance.now() - toast.startedAt));
+        }
+    }
+
+    resumeTimer(toast, reason) {
+        if (!toast.pausedBy.delete(reason) || toast.pausedBy.size) return;
+
+        if (toast.remaining > 0 && !toast.isClosing) {
+            this.startTimer(toast, toast.remaining);
+        }
+    }
+
+    /* ============================================
+       DISMISSAL
+       ============================================ */
+
+    handleKeydown(e) {
+        if (e.key !== 'Escape') return;
+
+        const element = e.target.closest('.toast');
+        if (element) this.dismiss(Number(element.dataset.toastId));
+    }
+
+    dismiss(id) {
+        const toast = this.toasts.get(id);
+        if (!toast || toast.isClosing) return;
+
+        toast.isClosing = true;
+        clearTimeout(toast.timer);
+
+        // Never rendered
+        if (!toast.element) {
+            this.queue = this.queue.filter(queuedId => queuedId !== id);
+            this.toasts.delete(id);
+            return;
+        }
+
+        const { element } = toast;
+
+        // Keep keyboard users in the stack instead of dropping focus on <body>
+        const hadFocus = element.contains(document.activeElement);
+
+        element.classList.remove('is-visible');
+        setTimeout(() => {
+            element.remove();
+            this.toasts.delete(id);
+            this.flushQueue();
+
+            if (hadFocus) {
+                const next = this.region.querySelector('.toast-close');
+                if (next) next.focus();
+            }
+        }, NOTIFICATION_CONFIG.exitDuration);
+    }
+
+    dismissAll() {
+        Array.from(this.toasts.keys()).forEach(id => this.dismiss(id));
+    }
+
+    destroy() {
+        this.toasts.forEach(toast => clearTimeout(toast.timer));
+        this.toasts.clear();
+        this.queue = [];
+
+        this.region.removeEventListener('keydown', this.handleKeydown);
+        this.region.remove();
+        this.politeRegion.remove();
+        this.assertiveRegion.remove();
+        console.log('🔔 Notification manager destroyed');
+    }
+}
+
+window.NOTIFICATION_CONFIG = NOTIFICATION_CONFIG;
+window.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
+window.NotificationManager = NotificationManager;
@@ -0,0 +1,303 @@
+/* ============================================
+   ADAPTIVE QUALITY GOVERNOR
+   Continuous frame-time monitoring with tiered,
+   hysteresis-based quality scaling and recovery
+   ============================================ */
+
+// What each tier actually changes, consumed by the subscribed systems
+const QUALITY_TIERS = Object.freeze({
+    ultra: {
+        particleCount: 4000,    // WebGLAtmosphere buffer size (GPU-simulated)
+        pixelRatio: 2,          // WebGLAtmosphere max pixel ratio
+        animateAtmosphere: true,
+        cursorParticles: 60,    // EmberCursor pool size (DOM trail)
+        cursorCanvasParticles: 400, // EmberCursor pool size (canvas trail)
+        floatingSquares: 40,
+        ambientParticles: 30,   // TripleAPolish ambient particles
+        postProcessing: { bloom: true, vignette: true, grain: true, chromaticAberration: true }, // Atmosphere passes
+        blur: true              // backdrop-filter blur
+    },
+    high: {
+        particleCount: 2500,
+        pixelRatio: 1.5,
+        animateAtmosphere: true,
+        cursorParticles: 50,
+        cursorCanvasParticles: 300,
+        floatingSquares: 30,
+        ambientParticles: 20,
+        postProcessing: { bloom: true, vignette: true, grain: true, chromaticAberration: false },
+        blur: true
+    },
+    medium: {
+        particleCount: 1200,
+        pixelRatio: 1,
+        animateAtmosphere: true,
+        cursorParticles: 30,
+        cursorCanvasParticles: 150,
+        floatingSquares: 18,
+        ambientParticles: 10,
+        postProcessing: { bloom: false, vignette: true, grain: true, chromaticAberration: false },
+        blur: true
+    },
+    low: {
+        particleCount: 400,
+        pixelRatio: 0.75,
+        animateAtmosphere: true,
+        cursorParticles: 12,
+        cursorCanvasParticles: 60,
+        floatingSquares: 6,
+        ambientParticles: 0,
+        postProcessing: { bloom: false, vignette: false, grain: false, chromaticAberration: false },
+        blur: false
+    },
+    static: {
+        particleCount: 400,
+        pixelRatio: 0.75,
+        animateAtmosphere: false, // Single rendered frame, no loop
+        cursorParticles: 0,
+        cursorCanvasParticles: 0,
+        floatingSquares: 0,
+        ambientParticles: 0,
+        postProcessing: { bloom: false, vignette: true, grain: false, chromaticAberration: false }, // One frame, cheap
+        blur: false
+    }
+});
+
+// Lowest to highest
+const QUALITY_TIER_ORDER = ['static', 'low', 'medium', 'high', 'ultra'];
+
+class QualityGovernor {
+    constructor(options = {}) {
+        this.config = {
+            startDelay: 3000,        // Let the page settle before judging it
+            sampleWindow: 2000,      // ms of frames per measurement
+            downgradeFps: 30,        // One window below this steps down
+            upgradeFps: 55,          // Sustained windows above this step up
+            upgradeWindows: 3,       // Consecutive good windows needed to step up
+            maxUpgradeWindows: 24,   // Backoff ceiling after repeated bouncing
+            cooldown: 4000,          // No decisions right after a tier change
+            maxFrameGap: 250,        // Longer gaps are tab switches / stalls, not frames
+            maxTier: 'ultra',
+            ...options
+        };
+
+        this.tier = null;
+        this.fps = 0;
+        this.averageFrameTime = 0;
+        this.requiredUpgradeWindows = this.config.upgradeWindows;
+        this.goodWindows = 0;
+        this.lastChangeTime = 0;
+        this.lastChangeDirection = null;
+
+        // Sampling state
+        this.rafId = null;
+        this.startTimeout = null;
+        this.frameCount = 0;
+        this.frameTimeSum = 0;
+        this.windowStart = 0;
+        this.lastFrameTime = 0;
+        this.isRunning = false;
+
+        this.measure = this.measure.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        this.setTier(this.getInitialTier());
+
+        this.startTimeout = setTimeout(() => {
+            this.startTimeout = null;
+            this.start();
+        }, this.config.startDelay);
+        console.log(`📊 Quality governor initialized (${this.tier})`);
+    }
+
+    getInitialTier() {
+        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+        const isLowEnd = navigator.hardwareConcurrency <= 4;
+
+        let tier = 'high';
+        if (isMobile || isLowEnd) tier = 'low';
+        else if (window.innerWidth > 1920 && navigator.hardwareConcurrency >= 8) tier = 'ultra';
+
+        return this.clampTier(tier);
+    }
+
+    clampTier(tier) {
+        const index = QUALITY_TIER_ORDER.indexOf(tier);
+        const maxIndex = QUALITY_TIER_ORDER.indexOf(this.config.maxTier);
+        return QUALITY_TIER_ORDER[Math.max(0, Math.min(index, maxIndex))];
+    }
+
+    /* ============================================
+       FRAME SAMPLING
+       ============================================ */
+
+    start() {
+        if (this.isRunning) return;
+
+        this.isRunning = true;
+        this.resetWindow(performance.now());
+        this.rafId = requestAnimationFrame(this.measure);
+    }
+
+    stop() {
+        this.isRunning = false;
+        if (this.rafId) {
+            cancelAnimationFrame(this.rafId);
+            this.rafId = null;
+        }
+    }
+
+    resetWindow(now) {
+        this.frameCount = 0;
+        this.frameTimeSum = 0;
+        this.windowStart = now;
+        this.lastFrameTime = now;
+    }
+
+    measure(now) {
+        if (!this.isRunning) return;
+        this.rafId = requestAnimationFrame(this.measure);
+
+        const frameTime = now - this.lastFrameTime;
+        this.lastFrameTime = now;
+
+        // A huge gap means the tab was hidden or the thread stalled once; start over
+        if (frameTime > this.config.maxFrameGap) {
+            this.resetWindow(now);
+            return;
+        }
+
+        this.frameCount++;
+        this.frameTimeSum += frameTime;
+
+        if (now - this.windowStart >= this.config.sampleWindow) {
+            this.averageFrameTime = this.frameTimeSum / Math.max(1, this.frameCount);
+            this.fps = Math.round(1000 / this.averageFrameTime);
+            this.evaluate(now);
+            this.resetWindow(now);
+        }
+    }
+
+    /* ============================================
+       TIER DECISIONS (HYSTERESIS)
+       ============================================ */
+
+    evaluate(now) {
+        if (now - this.lastChangeTime < this.config.cooldown) return;
+
+        const index = QUALITY_TIER_ORDER.indexOf(this.tier);
+
+        if (this.fps < this.config.downgradeFps) {
+            this.goodWindows = 0;
+            if (index === 0) return;
+
+            // Stepping straight back down after an upgrade means that tier isn't sustainable
+            if (this.lastChangeDirection === 'up') {
+                this.requiredUpgradeWindows = Math.min(
+                    this.requiredUpgradeWindows * 2,
+                    this.config.maxUpgradeWindows
+                );
+            }
+
+            console.warn(`⚠️ Low FPS detected: ${this.fps}`);
+            this.changeTier(QUALITY_TIER_ORDER[index - 1], 'down', now);
+            return;
+        }
+
+        if (this.fps >= this.config.upgradeFps) {
+            this.goodWindows++;
+
+            if (this.goodWindows >= this.requiredUpgradeWindows && this.tier !== this.config.maxTier) {
+                this.changeTier(QUALITY_TIER_ORDER[index + 1], 'up', now);
+            }
+        } else {
+            this.goodWindows = 0;
+        }
+    }
+
+    changeTier(tier, direction, now) {
+        this.goodWindows = 0;
+        this.lastChangeTime = now;
+        this.lastChangeDirection = direction;
+        this.setTier(tier);
+        console.log(`📊 Quality ${direction === 'down' ? 'lowered' : 'raised'} to ${tier} (${this.fps} fps)`);
+    }
+
+    /* ============================================
+       APPLYING A TIER
+       ============================================ */
+
+    setTier(tier) {
+        if (!QUALITY_TIERS[tier]) {
+            console.warn(`Unknown quality tier "${tier}"`);
+            return;
+        }
+
+        const previousTier = this.tier;
+        this.tier = tier;
+        const settings = QUALITY_TIERS[tier];
+
+        this.applyCssFlags(tier, settings);
+
+        if (window.soulstickBus) {
+            soulstickBus.emit(SoulstickEvents.PERFORMANCE_TIER_CHANGE, { tier, previousTier, settings });
+        }
+    }
+
+    applyCssFlags(tier, settings) {
+        const root = document.documentElement;
+
+        root.setAttribute('data-quality-tier', tier);
+        root.style.setProperty('--enable-blur', settings.blur ? '1' : '0');
+        root.classList.toggle('blur-disabled', !settings.blur);
+
+        // Existing reduced-complexity styles
+        document.body.classList.toggle('performance-mode', tier === 'low' || tier === 'static');
+    }
+
+    /* ============================================
+       PUBLIC API
+       ============================================ */
+
+    getTier() {
+        return this.tier;
+    }
+
+    getSettings() {
+        return QUALITY_TIERS[this.tier];
+    }
+
+    getStats() {
+        return {
+            tier: this.tier,
+            fps: this.fps,
+            averageFrameTime: this.averageFrameTime,
+            requiredUpgradeWindows: this.requiredUpgradeWindows
+        };
+    }
+
+    pause() {
+        this.stop();
+    }
+
+    resume() {
+        // Before the initial settle delay has passed, the pending timeout starts sampling
+        if (!this.startTimeout) {
+            this.start();
+        }
+    }
+
+    destroy() {
+        this.stop();
+        clearTimeout(this.startTimeout);
+        console.log('📊 Quality governor destroyed');
+    }
+}
+
+// Export for global access
+window.QUALITY_TIERS = QUALITY_TIERS;
+window.QUALITY_TIER_ORDER = QUALITY_TIER_ORDER;
+window.QualityGovernor = QualityGovernor;
@@ -3,6 +3,59 @@
    Advanced smooth scrolling with WebGL sync
    ============================================ */
 
+/* Scroll animation presets for data-animate="<name>". from: GSAP start state
+   (x/y px, scale, opacity); cssEase approximates ease for the CSS fallback. */
+const SCROLL_ANIMATION_PRESETS = Object.freeze({
+    'fade-up': {
+        from: { y: 40, opacity: 0 },
+        duration: 1,
+        ease: 'power2.out',
+        cssEase: 'cubic-bezier(0.25, 0.46, 0.45, 0.94)'
+    },
+    // Large, slow entrance (hero title lines)
+    rise: {
+        from: { y: 100, opacity: 0 },
+        duration: 1.2,
+        ease: 'power3.out',
+        cssEase: 'cubic-bezier(0.215, 0.61, 0.355, 1)'
+    },
+    pop: {
+        from: { y: 30, opacity: 0, scale: 0.9 },
+        duration: 0.8,
+        ease: 'back.out(1.7)',
+        cssEase: 'cubic-bezier(0.34, 1.56, 0.64, 1)'
+    },
+    'slide-right': {
+        from: { x: -20, opacity: 0 },
+        duration: 0.5,
+        ease: 'power2.out',
+        cssEase: 'cubic-bezier(0.25, 0.46, 0.45, 0.94)'
+    },
+    fade: {
+        from: { opacity: 0 },
+        duration: 0.8,
+        ease: 'power1.out',
+        cssEase: 'ease-out'
+    }
+});
+
+/**
+ * Declarations read by ScrollSync (all optional except data-animate / data-parallax):
+ *
+ * data-animate="<preset>"        Animate the element when it scrolls into view
+ * data-animate-stagger="0.2"     Animate the element's children instead, this many seconds apart
+ * data-animate-trigger="<sel>"   Trigger element: closest ancestor matching, else first match (default: itself)
+ * data-animate-start="top 85%"   ScrollTrigger start
+ * data-animate-duration / -delay Override the preset, in seconds
+ * data-parallax="0.3"            Drift up by this share of the element's height while its section scrolls past
+ */
+const SCROLL_ANIMATION_DEFAULTS = Object.freeze({
+    start: 'top 80%',
+    toggleActions: 'play none none reverse',
+    parallaxTrigger: 'section',     // Closest ancestor a parallax element drifts across
+    parallaxScrub: 1
+});
+
 class ScrollSync {
     constructor() {
         this.lenis = null;
@@ -13,32 +66,60 @@ class ScrollSync {
         this.lastScrollY = 0;
         this.isScrolling = false;
         this.scrollTimeout = null;
+        this.activeSection = null;
+        this.enteredSections = new Set();
+        this.sectionObserver = null;
+
+        // Declarative scroll animations
+        this.animations = { reveals: [], parallax: [] };
+        this.scrollTweens = [];
+        this.revealObserver = null;
+        this.parallaxFrame = null;
+
+        // Reduced motion: native scrolling, no reveals or parallax (null until first applied)
+        this.isReducedMotion = null;
+        this.tickerCallback = null;
+        this.unsubscribers = [];
+
+        // Bind methods once
+        this.handleScroll = this.handleScroll.bind(this);
+        this.handleNativeScroll = this.handleNativeScroll.bind(this);
+        this.handleWheel = this.handleWheel.bind(this);
+        this.handleTouchStart = this.handleTouchStart.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleFallbackParallax = this.handleFallbackParallax.bind(this);
 
         this.init();
     }
 
     async init() {
-        // Wait for Lenis to be available
+        // Wait for Lenis and GSAP to be available
         await this.waitForDependencies();
 
+        this.setupSectionTracking();
+        this.bindScrollEvents();
+
         if (!window.Lenis) {
-            console.warn('Lenis not available, using fallback scroll');
-            this.setupFallback();
-            return;
+            console.warn('Lenis not available, using native scroll');
+        }
+        if (window.gsap && window.ScrollTrigger) {
+            gsap.registerPlugin(ScrollTrigger);
         }
 
-        this.setupLenis();
-        this.bindScrollEvents();
-        this.setupScrollTriggers();
+        // Starts Lenis and the scroll animations unless motion is reduced
+        this.subscribeToEvents();
 
         this.isInitialized = true;
         console.log('📜 Scroll synchronization initialized');
     }
 
     async waitForDependencies() {
+        // The CDN scripts are deferred and have normally run by now; don't hang on one that failed
+        const giveUpAt = performance.now() + 3000;
+
         return new Promise((resolve) => {
             const checkDependencies = () => {
-                if (window.Lenis && window.gsap) {
+                if ((window.Lenis && window.gsap) || performance.now() > giveUpAt) {
                     resolve();
                 } else {
                     setTimeout(checkDependencies, 100);
@@ -48,6 +129,66 @@ class ScrollSync {
         });
     }
 
+    subscribeToEvents() {
+        const motionChange = window.soulstickBus && soulstickBus.getLast(SoulstickEvents.MOTION_PREFERENCE_CHANGE);
+
+        if (window.soulstickBus) {
+            this.unsubscribers.push(
+                soulstickBus.on(SoulstickEvents.MOTION_PREFERENCE_CHANGE, ({ reduced }) => {
+                    this.applyMotionPreference(reduced);
+                }, { replay: true })
+            );
+        }
+
+        // No motion preference system: full motion
+        if (!motionChange) {
+            this.applyMotionPreference(false);
+        }
+    }
+
+    /* ============================================
+       REDUCED MOTION
+       ============================================ */
+
+    applyMotionPreference(reduced) {
+        if (reduced === this.isReducedMotion) return;
+        this.isReducedMotion = reduced;
+
+        this.teardownScrollAnimations();
+
+        if (reduced) {
+            // Native scrolling; content stays where the layout puts it
+            this.stopLenis();
+            console.log('📜 Reduced motion: native scroll, no scroll animations');
+            return;
+        }
+
+        this.startLenis();
+        this.setupScrollTriggers();
+    }
+
+    startLenis() {
+        if (this.lenis || !window.Lenis) return;
+
+        this.setupLenis();
+        this.lenis.on('scroll', this.handleScroll);
+
+        // Keep ScrollTrigger in step with the smoothed position
+        if (window.ScrollTrigger) {
+            this.lenis.on('scroll', ScrollTrigger.update);
+        }
+    }
+
+    stopLenis() {
+        if (!this.lenis) return;
+
+        this.lenis.destroy();
+        this.lenis = null;
+
+        // Native scroll events take over progress reporting
+        this.handleNativeScroll();
+    }
+
     setupLenis() {
         this.lenis = new Lenis({
             duration: 1.2,
@@ -62,27 +203,24 @@ class ScrollSync {
             infinite: false
         });
 
-        // Integrate with GSAP
-        if (window.gsap && gsap.ticker) {
-            gsap.ticker.add((time) => {
-                this.lenis.raf(time * 1000);
-            });
+        // Integrate with GSAP (added once; Lenis is recreated when full motion returns)
+        if (window.gsap && gsap.ticker && !this.tickerCallback) {
+            this.tickerCallback = (time) => {
+                if (this.lenis) this.lenis.raf(time * 1000);
+            };
+            gsap.ticker.add(this.tickerCallback);
             gsap.ticker.lagSmoothing(0);
         }
     }
 
     bindScrollEvents() {
-        if (!this.lenis) return;
-
-        this.lenis.on('scroll', this.handleScroll.bind(this));
-
-        // Additional scroll events
-        window.addEventListener('scroll', this.handleNativeScroll.bind(this), { passive: true });
-        window.addEventListener('wheel', this.handleWheel.bind(this), { passive: false });
+        // Native scroll reports progress whenever Lenis isn't running
+        window.addEventListener('scroll', this.handleNativeScroll, { passive: true });
+        window.addEventListener('wheel', this.handleWheel, { passive: false });
 
         // Touch events for mobile
-        window.addEventListener('touchstart', this.handleTouchStart.bind(this), { passive: true });
-        window.addEventListener('touchend', this.handleTouchEnd.bind(this));
+        window.addEventListener('touchstart', this.handleTouchStart, { passive: true });
+        window.addEventListener('touchend', this.handleTouchEnd);
     }
 
     handleScroll(e) {
@@ -110,8 +248,8 @@ class ScrollSync {
             }
         });
 
-        // Sync with WebGL if available
-        this.syncWithWebGL(e);
+        // Let subscribed systems (WebGL, cursor...) react
+        this.publishScrollProgress();
 
         // Update CSS custom properties
         document.documentElement.style.setProperty('--scroll-progress', this.scrollProgress);
@@ -129,6 +267,8 @@ class ScrollSync {
         this.scrollDirection = scrollY > this.lastScrollY ? 'down' : 'up';
         this.lastScrollY = scrollY;
 
+        this.publishScrollProgress();
+
         // Update CSS custom properties
         document.documentElement.style.setProperty('--scroll-progress', this.scrollProgress);
         document.documentElement.style.setProperty('--scroll-direction', this.scrollDirection === 'down' ? '1' : '-1');
@@ -163,209 +303,245 @@ class ScrollSync {
         }));
     }
 
-    syncWithWebGL(scrollData) {
-        // Sync scroll with WebGL atmosphere
-        if (window.webglAtmosphere && window.webglAtmosphere.isInitialized) {
-            const intensity = 0.5 + (this.scrollProgress * 0.5);
-            window.webglAtmosphere.setIntensity(intensity);
-        }
+    publishScrollProgress() {
+        if (!window.soulstickBus) return;
 
-        // Sync with ember cursor
-        if (window.emberCursor) {
-            const revealRadius = 150 + (this.scrollProgress * 100);
-            window.emberCursor.setRevealRadius(revealRadius);
-        }
+        soulstickBus.emit(SoulstickEvents.SCROLL_PROGRESS, {
+            progress: this.scrollProgress,
+            direction: this.scrollDirection
+        });
+    }
+
+    setupSectionTracking() {
+        const sections = document.querySelectorAll('[data-section]');
+        if (!sections.length || !window.soulstickBus) return;
+
+        // A section is "active" while it crosses the middle band of the viewport
+        this.sectionObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                const section = entry.target.getAttribute('data-section');
+
+                if (entry.isIntersecting) {
+                    this.activeSection = section;
+                    this.enteredSections.add(section);
+                    soulstickBus.emit(SoulstickEvents.SECTION_ENTER, { section, element: entry.target });
+                } else if (this.enteredSections.has(section)) {
+                    // Only sections that were entered can be left (skips the initial observer pass)
+                    this.enteredSections.delete(section);
+                    if (this.activeSection === section) {
+                        this.activeSection = null;
+                    }
+                    soulstickBus.emit(SoulstickEvents.SECTION_LEAVE, { section, element: entry.target });
+                }
+            });
+        }, {
+            rootMargin: '-45% 0px -45% 0px'
+        });
+
+        sections.forEach(section => this.sectionObserver.observe(section));
     }
 
     setupScrollTriggers() {
-        if (!window.gsap || !gsap.ScrollTrigger) {
-            console.warn('GSAP ScrollTrigger not available');
+        this.animations = this.collectScrollAnimations();
+
+        if (!window.gsap || !window.ScrollTrigger) {
+            console.warn('GSAP ScrollTrigger not available, using fallback scroll animations');
+            this.setupFallbackAnimations();
             return;
         }
 
-        // Register GSAP ScrollTrigger
-        gsap.registerPlugin(ScrollTrigger);
+        this.animations.reveals.forEach(reveal => this.createRevealTrigger(reveal));
+        this.animations.parallax.forEach(parallax => this.createParallaxTrigger(parallax));
+    }
+
+    /* ============================================
+       DECLARATIVE SCROLL ANIMATIONS
+       ============================================ */
 
-        // Refresh ScrollTrigger when Lenis updates
-        if (this.lenis) {
-            this.lenis.on('scroll', ScrollTrigger.update);
-        }
+    collectScrollAnimations() {
+        const reveals = [];
+        const parallax = [];
 
-        this.setupSectionAnimations();
-        this.setupParallaxEffects();
-        this.setupRevealAnimations();
-    }
+        document.querySelectorAll('[data-animate]').forEach(element => {
+            const { animate, animateStagger, animateTrigger, animateStart, animateDuration, animateDelay } = element.dataset;
+            const preset = SCROLL_ANIMATION_PRESETS[animate];
 
-    setupSectionAnimations() {
-        // Hero section animation
-        gsap.fromTo('.hero-title .title-line', {
-            y: 100,
-            opacity: 0
-        }, {
-            y: 0,
-            opacity: 1,
-            duration: 1.2,
-            stagger: 0.2,
-            ease: 'power3.out',
-            scrollTrigger: {
-                trigger: '.hero-section',
-                start: 'top 80%',
-                toggleActions: 'play none none reverse'
+            if (!preset) {
+                console.warn(`Unknown scroll animation preset "${animate}"`, element);
+                return;
             }
+
+            const stagger = animateStagger !== undefined ? parseFloat(animateStagger) || 0 : null;
+
+            reveals.push({
+                element,
+                preset,
+                // A stagger container animates its children; the container itself stays put
+                items: stagger !== null ? Array.from(element.children) : [element],
+                trigger: this.resolveTrigger(element, animateTrigger) || element,
+                start: animateStart || SCROLL_ANIMATION_DEFAULTS.start,
+                duration: animateDuration !== undefined ? parseFloat(animateDuration) : preset.duration,
+                delay: parseFloat(animateDelay) || 0,
+                stagger: stagger || 0
+            });
         });
 
-        // Hero subtitle animation
-        gsap.fromTo('.hero-subtitle', {
-            y: 50,
-            opacity: 0
-        }, {
-            y: 0,
-            opacity: 1,
-            duration: 1,
-            ease: 'power2.out',
-            scrollTrigger: {
-                trigger: '.hero-subtitle',
-                start: 'top 80%',
-                toggleActions: 'play none none reverse'
-            }
+        document.querySelectorAll('[data-parallax]').forEach(element => {
+            const { parallax: speed, animateTrigger } = element.dataset;
+
+            parallax.push({
+                element,
+                speed: parseFloat(speed) || 0,
+                trigger: this.resolveTrigger(element, animateTrigger) ||
+                    element.closest(SCROLL_ANIMATION_DEFAULTS.parallaxTrigger) ||
+                    element
+            });
         });
 
-        // CTA button animation
-        gsap.fromTo('.cta-primary', {
-            y: 30,
-            opacity: 0,
-            scale: 0.9
-        }, {
+        return { reveals, parallax };
+    }
+
+    resolveTrigger(element, selector) {
+        if (!selector) return null;
+
+        // Nearest matching ancestor first, so repeated markup gets its own trigger
+        try {
+            return element.closest(selector) || document.querySelector(selector);
+        } catch (error) {
+            console.warn(`Invalid scroll animation trigger "${selector}"`, element);
+            return null;
+        }
+    }
+
+    createRevealTrigger({ preset, items, trigger, start, duration, delay, stagger }) {
+        const tween = gsap.fromTo(items, { ...preset.from }, {
+            x: 0,
             y: 0,
-            opacity: 1,
             scale: 1,
-            duration: 0.8,
-            ease: 'back.out(1.7)',
+            opacity: 1,
+            duration,
+            delay,
+            stagger,
+            ease: preset.ease,
             scrollTrigger: {
-                trigger: '.hero-cta',
-                start: 'top 85%',
-                toggleActions: 'play none none reverse'
-            }
+                trigger,
+                start,
+                toggleActions: SCROLL_ANIMATION_DEFAULTS.toggleActions
+            },
+            // Revealed elements have moved; systems caching their rects re-measure
+            onComplete: () => this.emitAnimationComplete(items, false),
+            onReverseComplete: () => this.emitAnimationComplete(items, true)
         });
+
+        this.scrollTweens.push(tween);
     }
 
-    setupParallaxEffects() {
-        // Game artwork parallax
-        gsap.to('.game-visual', {
-            yPercent: -20,
-            ease: 'none',
-            scrollTrigger: {
-                trigger: '.featured-game',
-                start: 'top bottom',
-                end: 'bottom top',
-                scrub: 1
-            }
-        });
+    emitAnimationComplete(items, reversed) {
+        if (window.soulstickBus) {
+            soulstickBus.emit(SoulstickEvents.SCROLL_ANIMATION_COMPLETE, { items, reversed });
+        }
+    }
 
-        // Floating embers parallax
-        gsap.to('.floating-embers .ember', {
-            yPercent: -30,
+    createParallaxTrigger({ element, speed, trigger }) {
+        const tween = gsap.to(element, {
+            yPercent: -speed * 100,
             ease: 'none',
             scrollTrigger: {
-                trigger: '.hero-section',
+                trigger,
                 start: 'top bottom',
                 end: 'bottom top',
-                scrub: 1.5
+                scrub: SCROLL_ANIMATION_DEFAULTS.parallaxScrub
             }
         });
 
-        // Value cards stagger
-        gsap.fromTo('.value-card', {
-            y: 60,
-            opacity: 0
-        }, {
-            y: 0,
-            opacity: 1,
-            duration: 0.8,
-            stagger: 0.2,
-            ease: 'power2.out',
-            scrollTrigger: {
-                trigger: '.values-grid',
-                start: 'top 80%',
-                toggleActions: 'play none none reverse'
-            }
-        });
+        this.scrollTweens.push(tween);
     }
 
-    setupRevealAnimations() {
-        // Section titles
-        gsap.fromTo('.section-title', {
-            y: 40,
-            opacity: 0
-        }, {
-            y: 0,
-            opacity: 1,
-            duration: 1,
-            ease: 'power2.out',
-            scrollTrigger: {
-                trigger: '.section-title',
-                start: 'top 85%',
-                toggleActions: 'play none none reverse'
-            }
-        });
+    setupFallbackAnimations() {
+        const { reveals, parallax } = this.animations;
 
-        // Game features
-        gsap.fromTo('.feature', {
-            x: -30,
-            opacity: 0
-        }, {
-            x: 0,
-            opacity: 1,
-            duration: 0.6,
-            stagger: 0.1,
-            ease: 'power2.out',
-            scrollTrigger: {
-                trigger: '.game-features',
-                start: 'top 80%',
-                toggleActions: 'play none none reverse'
-            }
-        });
+        // Scopes the CSS start states generated from the presets (see bottom of file)
+        document.documentElement.classList.add('scroll-animate-fallback');
 
-        // Contact elements
-        gsap.fromTo('.contact-link', {
-            x: -20,
-            opacity: 0
-        }, {
-            x: 0,
-            opacity: 1,
-            duration: 0.5,
-            stagger: 0.1,
-            ease: 'power2.out',
-            scrollTrigger: {
-                trigger: '.contact-methods',
-                start: 'top 80%',
-                toggleActions: 'play none none reverse'
-            }
-        });
-    }
+        const targets = new Map();
+        reveals.forEach(({ items, trigger, duration, delay, stagger }) => {
+            items.forEach((item, i) => {
+                item.style.transitionDuration = `${duration}s`;
+                item.style.transitionDelay = `${delay + i * stagger}s`;
+            });
 
-    setupFallback() {
-        // Basic scroll detection without Lenis
-        window.addEventListener('scroll', this.handleNativeScroll.bind(this), { passive: true });
+            if (!targets.has(trigger)) targets.set(trigger, []);
+            targets.get(trigger).push(...items);
+        });
 
-        // Basic CSS-only animations
-        const observer = new IntersectionObserver((entries) => {
+        // Same toggle actions as the ScrollTrigger path: play on enter, reverse when scrolled back above
+        this.revealObserver = new IntersectionObserver((entries) => {
             entries.forEach(entry => {
+                const items = targets.get(entry.target) || [];
                 if (entry.isIntersecting) {
-                    entry.target.classList.add('visible');
+                    items.forEach(item => item.classList.add('is-animated'));
+                } else if (entry.boundingClientRect.top > 0) {
+                    items.forEach(item => item.classList.remove('is-animated'));
                 }
             });
         }, {
-            threshold: 0.1,
-            rootMargin: '0px 0px -10% 0px'
+            threshold: 0,
+            rootMargin: '0px 0px -20% 0px' // ~ start: 'top 80%'
+        });
+
+        targets.forEach((items, trigger) => this.revealObserver.observe(trigger));
+
+        if (parallax.length) {
+            window.addEventListener('scroll', this.handleFallbackParallax, { passive: true });
+            this.handleFallbackParallax();
+        }
+    }
+
+    handleFallbackParallax() {
+        if (this.parallaxFrame) return;
+
+        this.parallaxFrame = requestAnimationFrame(() => {
+            this.parallaxFrame = null;
+            const viewportHeight = window.innerHeight;
+
+            // Read every trigger, then write every transform
+            const progress = this.animations.parallax.map(({ trigger }) => {
+                const rect = trigger.getBoundingClientRect();
+                return Math.min(1, Math.max(0, (viewportHeight - rect.top) / (viewportHeight + rect.height)));
+            });
+
+            this.animations.parallax.forEach(({ element, speed }, i) => {
+                element.style.transform = `translateY(${(-speed * 100 * progress[i]).toFixed(2)}%)`;
+            });
         });
+    }
+
+    teardownScrollAnimations() {
+        // revert() kills the trigger and restores the inline styles the tween replaced
+        this.scrollTweens.forEach(tween => tween.revert());
+        this.scrollTweens = [];
+
+        if (this.revealObserver) {
+            this.revealObserver.disconnect();
+            this.revealObserver = null;
+        }
+        window.removeEventListener('scroll', this.handleFallbackParallax);
+        if (this.parallaxFrame) {
+            cancelAnimationFrame(this.parallaxFrame);
+            this.parallaxFrame = null;
+        }
 
-        // Observe elements that should animate
-        document.querySelectorAll('.reveal-up, .reveal-fade, .value-card, .feature').forEach(el => {
-            observer.observe(el);
+        this.animations.reveals.forEach(({ items }) => items.forEach(item => {
+            item.classList.remove('is-animated');
+            item.style.transitionDuration = '';
+            item.style.transitionDelay = '';
+        }));
+        this.animations.parallax.forEach(({ element }) => {
+            element.style.transform = '';
         });
+        document.documentElement.classList.remove('scroll-animate-fallback');
 
-        console.log('📜 Fallback scroll system initialized');
+        this.animations = { reveals: [], parallax: [] };
     }
 
     // Public API
@@ -378,11 +554,18 @@ class ScrollSync {
                 ...options
             });
         } else {
-            // Fallback smooth scroll
+            // Native scroll: smooth unless motion is reduced
+            const behavior = this.isReducedMotion ? 'auto' : 'smooth';
+
+            if (typeof target === 'number') {
+                window.scrollTo({ top: target, behavior });
+                return;
+            }
+
             const element = typeof target === 'string' ? document.querySelector(target) : target;
             if (element) {
                 element.scrollIntoView({
-                    behavior: 'smooth',
+                    behavior,
                     block: 'start'
                 });
             }
@@ -409,6 +592,10 @@ class ScrollSync {
         return this.scrollDirection;
     }
 
+    getActiveSection() {
+        return this.activeSection;
+    }
+
     pause() {
         if (this.lenis) {
             this.lenis.stop();
@@ -422,16 +609,23 @@ class ScrollSync {
     }
 
     destroy() {
-        if (this.lenis) {
-            this.lenis.destroy();
-        }
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
 
-        if (window.gsap && gsap.ScrollTrigger) {
-            ScrollTrigger.killAll();
+        this.teardownScrollAnimations();
+        this.stopLenis();
+
+        if (this.tickerCallback) {
+            gsap.ticker.remove(this.tickerCallback);
+            this.tickerCallback = null;
         }
 
         this.scrollCallbacks.clear();
 
+        if (this.sectionObserver) {
+            this.sectionObserver.disconnect();
+        }
+
         window.removeEventListener('scroll', this.handleNativeScroll);
         window.removeEventListener('wheel', this.handleWheel);
         window.removeEventListener('touchstart', this.handleTouchStart);
@@ -441,27 +635,36 @@ class ScrollSync {
     }
 }
 
-// CSS for fallback animations
-const scrollStyles = document.createElement('style');
-scrollStyles.textContent = `
-    .reveal-up,
-    .reveal-fade,
-    .value-card,
-    .feature {
-        opacity: 0;
-        transform: translateY(30px);
-        transition: all 0.8s cubic-bezier(0.25, 0.46, 0.45, 0.94);
-    }
-    
-    .reveal-up.visible,
-    .reveal-fade.visible,
-    .value-card.visible,
-    .feature.visible {
+// CSS for fallback animations: start states generated from the same presets
+function buildScrollAnimationStyles() {
+    return Object.entries(SCROLL_ANIMATION_PRESETS).map(([name, { from, cssEase }]) => {
+        const hidden = [
+            `.scroll-animate-fallback [data-animate="${name}"]:not([data-animate-stagger])`,
+            `.scroll-animate-fallback [data-animate="${name}"][data-animate-stagger] > *`
+        ];
+        const transform = `translate(${from.x || 0}px, ${from.y || 0}px) scale(${from.scale !== undefined ? from.scale : 1})`;
+
+        return `
+    ${hidden.join(',\n    ')} {
+        opacity: ${from.opacity !== undefined ? from.opacity : 1};
+        transform: ${transform};
+        transition-property: opacity, transform;
+        transition-timing-function: ${cssEase};
+    }
+
+    ${hidden.map(selector => `${selector}.is-animated`).join(',\n    ')} {
         opacity: 1;
-        transform: translateY(0);
+        transform: none;
     }
 `;
+    }).join('');
+}
+
+const scrollStyles = document.createElement('style');
+scrollStyles.textContent = buildScrollAnimationStyles();
 document.head.appendChild(scrollStyles);
 
+window.SCROLL_ANIMATION_PRESETS = SCROLL_ANIMATION_PRESETS;
+
 // Export for global access
 window.ScrollSync = ScrollSync;
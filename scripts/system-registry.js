@@ -0,0 +1,211 @@
+/* ============================================
+   SYSTEM REGISTRY - LIFECYCLE MANAGER
+   Declarative registration, ordering and control
+   of every visual/interactive subsystem
+   ============================================ */
+
+class SystemRegistry {
+    constructor() {
+        // name -> definition (hooks, dependencies, capability check)
+        this.definitions = new Map();
+
+        // name -> live instance returned by the init hook
+        this.instances = new Map();
+
+        // name -> 'pending' | 'ready' | 'failed' | 'unsupported' | 'skipped' | 'disabled'
+        this.status = new Map();
+
+        this.initOrder = [];
+        this.isPaused = false;
+    }
+
+    /**
+     * Register a subsystem.
+     *
+     * @param {string} name - Unique system name (e.g. 'webgl', 'cursor')
+     * @param {Object} definition
+     * @param {Function} definition.init - Creates the system, returns the instance (may be async)
+     * @param {string[]} [definition.dependencies] - Systems that must be ready first
+     * @param {Function} [definition.isSupported] - Capability check, skipped when it returns false
+     * @param {Function} [definition.pause] - (instance) => void, defaults to instance.pause()
+     * @param {Function} [definition.resume] - (instance) => void, defaults to instance.resume()
+     * @param {Function} [definition.destroy] - (instance) => void, defaults to instance.destroy()
+     * @param {string} [definition.global] - Optional window property to expose the instance on
+     * @param {boolean} [definition.enabled] - Set to false to keep a system registered but inactive
+     */
+    register(name, definition) {
+        if (this.definitions.has(name)) {
+            console.warn(`System "${name}" is already registered, replacing it`);
+        }
+
+        this.definitions.set(name, {
+            dependencies: [],
+            isSupported: () => true,
+            enabled: true,
+            ...definition
+        });
+        this.status.set(name, 'pending');
+
+        return this;
+    }
+
+    unregister(name) {
+        if (this.instances.has(name)) {
+            this.destroySystem(name);
+        }
+
+        this.definitions.delete(name);
+        this.status.delete(name);
+        this.initOrder = this.initOrder.filter(systemName => systemName !== name);
+    }
+
+    async initAll() {
+        const order = this.resolveOrder();
+
+        for (const name of order) {
+            await this.initSystem(name);
+        }
+
+        return this.getStatus();
+    }
+
+    async initSystem(name) {
+        const definition = this.definitions.get(name);
+        if (!definition) return null;
+
+        if (!definition.enabled) {
+            this.status.set(name, 'disabled');
+            return null;
+        }
+
+        // Dependencies must be up before this system can start
+        const missing = definition.dependencies.filter(dep => this.status.get(dep) !== 'ready');
+        if (missing.length) {
+            console.warn(`System "${name}" skipped, missing dependencies: ${missing.join(', ')}`);
+            this.status.set(name, 'skipped');
+            return null;
+        }
+
+        try {
+            if (!definition.isSupported()) {
+                this.status.set(name, 'unsupported');
+                return null;
+            }
+
+            const instance = await definition.init();
+            this.instances.set(name, instance);
+            this.status.set(name, 'ready');
+            this.initOrder.push(name);
+
+            if (definition.global) {
+                window[definition.global] = instance;
+            }
+
+            // Late systems should not run while the page is hidden
+            if (this.isPaused) {
+                this.callHook(name, 'pause');
+            }
+
+            return instance;
+        } catch (error) {
+            console.warn(`System "${name}" failed to initialize:`, error);
+            this.status.set(name, 'failed');
+            return null;
+        }
+    }
+
+    // Topological sort so dependencies always initialize before their dependents
+    resolveOrder() {
+        const order = [];
+        const visiting = new Set();
+        const visited = new Set();
+
+        const visit = (name, trail) => {
+            if (visited.has(name)) return;
+            if (visiting.has(name)) {
+                throw new Error(`Circular system dependency: ${[...trail, name].join(' -> ')}`);
+            }
+
+            const definition = this.definitions.get(name);
+            if (!definition) return; // Unknown dependency, reported as missing at init time
+
+            visiting.add(name);
+            definition.dependencies.forEach(dep => visit(dep, [...trail, name]));
+            visiting.delete(name);
+
+            visited.add(name);
+            order.push(name);
+        };
+
+        this.definitions.forEach((definition, name) => visit(name, []));
+        return order;
+    }
+
+    callHook(name, hook) {
+        const definition = this.definitions.get(name);
+        const instance = this.instances.get(name);
+        if (!definition || !instance) return;
+
+        try {
+            if (typeof definition[hook] === 'function') {
+                definition[hook](instance);
+            } else if (typeof instance[hook] === 'function') {
+                instance[hook]();
+            }
+        } catch (error) {
+            console.warn(`System "${name}" ${hook} failed:`, error);
+        }
+    }
+
+    pauseAll() {
+        this.isPaused = true;
+        this.initOrder.forEach(name => this.callHook(name, 'pause'));
+    }
+
+    resumeAll() {
+        this.isPaused = false;
+        this.initOrder.forEach(name => this.callHook(name, 'resume'));
+    }
+
+    destroySystem(name) {
+        this.callHook(name, 'destroy');
+
+        const definition = this.definitions.get(name);
+        if (definition && definition.global && window[definition.global] === this.instances.get(name)) {
+            delete window[definition.global];
+        }
+
+        this.instances.delete(name);
+        this.status.set(name, 'pending');
+        this.initOrder = this.initOrder.filter(systemName => systemName !== name);
+    }
+
+    destroyAll() {
+        // Tear down dependents before the systems they rely on
+        [...this.initOrder].reverse().forEach(name => this.destroySystem(name));
+    }
+
+    // Public API
+    get(name) {
+        return this.instances.get(name) || null;
+    }
+
+    has(name) {
+        return this.definitions.has(name);
+    }
+
+    isReady(name) {
+        return this.status.get(name) === 'ready';
+    }
+
+    getStatus() {
+        const status = {};
+        this.status.forEach((state, name) => {
+            status[name] = state;
+        });
+        return status;
+    }
+}
+
+// Export for global access
+window.SystemRegistry = SystemRegistry;
@@ -0,0 +1,140 @@
+/* ============================================
+   THEME ENGINE
+   Resolves the visitor's theme preference (or the
+   OS setting) to a data-theme and keeps tabs in sync
+   ============================================ */
+
+const THEME_CONFIG = Object.freeze({
+    storageKey: 'soulstick-theme',          // Also read by the inline script in <head>
+    preferences: ['system', 'dark', 'light', 'high-contrast'], // Toggle cycles in this order
+    lightQuery: '(prefers-color-scheme: light)',
+    contrastQuery: '(prefers-contrast: more)'
+});
+
+class ThemeEngine {
+    constructor() {
+        this.lightQuery = window.matchMedia ? window.matchMedia(THEME_CONFIG.lightQuery) : null;
+        this.contrastQuery = window.matchMedia ? window.matchMedia(THEME_CONFIG.contrastQuery) : null;
+        this.preference = this.readStoredPreference();
+        this.theme = null;
+        this.appliedPreference = null;      // Preference behind the last published theme
+
+        // Bind methods once
+        this.handleSystemChange = this.handleSystemChange.bind(this);
+        this.handleStorage = this.handleStorage.bind(this);
+
+        this.init();
+    }
+
+    init() {
+        [this.lightQuery, this.contrastQuery].forEach(query => {
+            if (query) query.addEventListener('change', this.handleSystemChange);
+        });
+        // Another tab picked a theme
+        window.addEventListener('storage', this.handleStorage);
+
+        // The inline <head> script already set data-theme; this only publishes it
+        this.apply();
+        console.log(`🎨 Theme engine initialized (${this.theme}, ${this.preference})`);
+    }
+
+    readStoredPreference() {
+        try {
+            const stored = localStorage.getItem(THEME_CONFIG.storageKey);
+            return THEME_CONFIG.preferences.includes(stored) ? stored : 'system';
+        } catch (e) {
+            // Storage blocked (privacy mode, sandboxed frames)
+            return 'system';
+        }
+    }
+
+    resolveTheme(preference) {
+        if (preference !== 'system') return preference;
+
+        if (this.contrastQuery && this.contrastQuery.matches) return 'high-contrast';
+        return this.lightQuery && this.lightQuery.matches ? 'light' : 'dark';
+    }
+
+    handleSystemChange() {
+        // Explicit choices don't follow the OS
+        if (this.preference === 'system') this.apply();
+    }
+
+    handleStorage(e) {
+        if (e.key !== THEME_CONFIG.storageKey) return;
+
+        this.preference = this.readStoredPreference();
+        this.apply();
+    }
+
+    apply() {
+        const theme = this.resolveTheme(this.preference);
+        const root = document.documentElement;
+
+        root.setAttribute('data-theme', theme);
+
+        // A new preference that resolves to the same theme still updates the toggle
+        if (theme === this.theme && this.preference === this.appliedPreference) return;
+        this.theme = theme;
+        this.appliedPreference = this.preference;
+
+        // data-theme is set first so subscribers read the new computed styles
+        if (window.soulstickBus) {
+            soulstickBus.emit(SoulstickEvents.THEME_CHANGE, { theme, preference: this.preference });
+        }
+    }
+
+    /* ============================================
+       PUBLIC API
+       ============================================ */
+
+    /**
+     * Pick a theme and remember it; other open tabs follow.
+     * @param {'system'|'dark'|'light'|'high-contrast'} preference - 'system' follows the OS again
+     */
+    setPreference(preference) {
+        if (!THEME_CONFIG.preferences.includes(preference)) {
+            console.warn(`Unknown theme "${preference}"`);
+            return;
+        }
+
+        this.preference = preference;
+
+        try {
+            localStorage.setItem(THEME_CONFIG.storageKey, preference);
+        } catch (e) {
+            // Applies for this visit only
+        }
+
+        this.apply();
+    }
+
+    /**
+     * Step to the next preference (system, dark, light, high contrast).
+     */
+    cycle() {
+        const { preferences } = THEME_CONFIG;
+        const next = preferences[(preferences.indexOf(this.preference) + 1) % preferences.length];
+        this.setPreference(next);
+        return next;
+    }
+
+    getPreference() {
+        return this.preference;
+    }
+
+    getTheme() {
+        return this.theme;
+    }
+
+    destroy() {
+        [this.lightQuery, this.contrastQuery].forEach(query => {
+            if (query) query.removeEventListener('change', this.handleSystemChange);
+        });
+        window.removeEventListener('storage', this.handleStorage);
+        console.log('🎨 Theme engine destroyed');
+    }
+}
+
+window.THEME_CONFIG = THEME_CONFIG;
+window.ThemeEngine = ThemeEngine;
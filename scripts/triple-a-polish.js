@@ -3,14 +3,49 @@
    Lead Creative Director Implementation
    ============================================ */
 
+// Torch proximity lighting. Intensity is 1 on the element and falls to 0 at the
+// threshold distance (px from its edges), shaped by a falloff curve.
+const PROXIMITY_CONFIG = Object.freeze({
+    selector: '.torch-reveal, .proximity-glow, .team-member, .value-card, .service-card',
+    hoverSelector: '.torch-reveal, .proximity-glow', // Also lift on hover
+    lightSelector: '.team-member, .value-card, .service-card', // Get a .torch-light sheen and edge glow
+    threshold: 120,         // Default reach; per element with data-proximity-radius
+    falloff: 'linear',      // Default curve; per element with data-proximity-falloff
+    lightSource: 'pointer'  // 'pointer' (raw mouse) or 'ember' (EmberCursor, in step with the trail)
+});
+
+// t: 0 at the threshold, 1 at the element's edge
+const PROXIMITY_FALLOFF = Object.freeze({
+    linear: (t) => t,
+    smooth: (t) => t * t * (3 - 2 * t),
+    quadratic: (t) => t * t,                // Light stays low until close
+    sqrt: (t) => Math.sqrt(t),              // Wide, soft halo
+    step: (t) => (t > 0 ? 1 : 0)            // On/off at the threshold
+});
+
 class TripleAPolish {
     constructor() {
         this.emberCursor = null;
         this.intersectionObserver = null;
         this.proximityElements = [];
+        this.proximityThreshold = PROXIMITY_CONFIG.threshold;
+        this.lightSource = PROXIMITY_CONFIG.lightSource;
+        this.proximityPointer = { x: 0, y: 0, isInside: false };
+        this.proximityRectsDirty = true;
+        this.proximityFrame = null;
+        this.isProximityPaused = false;
         this.ambientParticles = [];
+        this.ambientParticleCount = 20;
+        this.ambientContainer = null;
+        this.isReducedMotion = false;   // MotionPreference: no ambient particles or ripples
+        this.unsubscribers = [];
         this.isInitialized = false;
 
+        const motionChange = window.soulstickBus && soulstickBus.getLast(SoulstickEvents.MOTION_PREFERENCE_CHANGE);
+        if (motionChange) {
+            this.isReducedMotion = motionChange.reduced;
+        }
+
         this.init();
     }
 
@@ -33,65 +68,210 @@ class TripleAPolish {
        ============================================ */
 
     setupProximityDetection() {
-        this.proximityElements = document.querySelectorAll('.torch-reveal, .proximity-glow');
+        this.proximityElements = Array.from(document.querySelectorAll(PROXIMITY_CONFIG.selector)).map(element => ({
+            element,
+            rect: null,         // Page coordinates, so scrolling alone doesn't invalidate it
+            intensity: 0,
+            light: null,        // Last written light position
+            overlay: element.matches(PROXIMITY_CONFIG.lightSelector) ? this.createTorchLight(element) : null
+        }));
 
         if (!this.proximityElements.length) return;
 
-        // Listen for ember cursor updates
-        document.addEventListener('mousemove', this.handleCursorProximity.bind(this));
+        this.handleCursorProximity = this.handleCursorProximity.bind(this);
+        this.handleProximityLayoutChange = this.handleProximityLayoutChange.bind(this);
+        this.handleProximityPointerLeave = this.handleProximityPointerLeave.bind(this);
+        this.handleProximityTransitionEnd = this.handleProximityTransitionEnd.bind(this);
+        this.updateProximity = this.updateProximity.bind(this);
+
+        // Events only record input; all DOM work happens once per frame in updateProximity
+        document.addEventListener('mousemove', this.handleCursorProximity, { passive: true });
+        document.addEventListener('mouseleave', this.handleProximityPointerLeave, { passive: true });
+        window.addEventListener('scroll', this.handleProximityLayoutChange, { passive: true });
+        window.addEventListener('resize', this.handleProximityLayoutChange, { passive: true });
+        // Hover lifts and CSS-fallback reveals move elements without scrolling
+        document.addEventListener('transitionend', this.handleProximityTransitionEnd, { passive: true });
+
+        if (window.soulstickBus) {
+            this.unsubscribers.push(
+                soulstickBus.on(SoulstickEvents.CURSOR_MOVE, (cursor) => this.handleEmberLight(cursor)),
+                // ScrollTrigger reveals finish after the scroll that started them
+                soulstickBus.on(SoulstickEvents.SCROLL_ANIMATION_COMPLETE, () => this.refreshProximityRects())
+            );
+        }
 
         // Enhanced hover effects with proximity calculation
-        this.proximityElements.forEach(element => {
-            element.addEventListener('mouseenter', () => {
-                element.classList.add('ember-proximity');
-                this.addProximityGlow(element);
-            });
+        this.proximityElements.forEach(({ element }) => {
+            if (!element.matches(PROXIMITY_CONFIG.hoverSelector)) return;
 
-            element.addEventListener('mouseleave', () => {
-                element.classList.remove('ember-proximity');
-                this.removeProximityGlow(element);
-            });
+            element.addEventListener('mouseenter', () => this.addProximityGlow(element));
+            element.addEventListener('mouseleave', () => this.removeProximityGlow(element));
         });
     }
 
+    createTorchLight(element) {
+        // Its own layer, so the cards' ::before/::after and backgrounds stay untouched
+        const overlay = document.createElement('span');
+        overlay.className = 'torch-light';
+        overlay.setAttribute('aria-hidden', 'true');
+        element.appendChild(overlay);
+        return overlay;
+    }
+
     handleCursorProximity(e) {
-        const cursor = { x: e.clientX, y: e.clientY };
-        const proximityThreshold = 120;
-
-        this.proximityElements.forEach(element => {
-            const rect = element.getBoundingClientRect();
-            const elementCenter = {
-                x: rect.left + rect.width / 2,
-                y: rect.top + rect.height / 2
-            };
+        if (this.lightSource === 'ember') return;
 
-            const distance = Math.sqrt(
-                Math.pow(cursor.x - elementCenter.x, 2) +
-                Math.pow(cursor.y - elementCenter.y, 2)
-            );
+        this.proximityPointer.x = e.clientX;
+        this.proximityPointer.y = e.clientY;
+        this.proximityPointer.isInside = true;
+        this.requestProximityUpdate();
+    }
+
+    handleEmberLight({ x, y, active }) {
+        if (this.lightSource !== 'ember') return;
+
+        this.proximityPointer.x = x;
+        this.proximityPointer.y = y;
+        this.proximityPointer.isInside = active;
+        this.requestProximityUpdate();
+    }
+
+    handleProximityPointerLeave() {
+        if (this.lightSource === 'ember') return;
+
+        this.proximityPointer.isInside = false;
+        this.requestProximityUpdate();
+    }
+
+    handleProximityLayoutChange() {
+        // Scroll-driven reveals and parallax move elements in the page as well as
+        // under the cursor; re-measuring is batched to one read per frame
+        this.proximityRectsDirty = true;
+        this.requestProximityUpdate();
+    }
+
+    handleProximityTransitionEnd(e) {
+        if (e.propertyName !== 'transform' || !(e.target instanceof Element)) return;
+        if (e.target.matches(PROXIMITY_CONFIG.selector)) this.refreshProximityRects();
+    }
 
-            if (distance < proximityThreshold) {
-                const intensity = 1 - (distance / proximityThreshold);
-                this.applyProximityEffect(element, intensity);
-            } else {
-                this.removeProximityEffect(element);
+    /**
+     * Re-measure proximity elements on the next frame (call after layout changes
+     * that aren't a scroll or resize, e.g. content loaded above them).
+     */
+    refreshProximityRects() {
+        this.proximityRectsDirty = true;
+        this.requestProximityUpdate();
+    }
+
+    requestProximityUpdate() {
+        if (this.proximityFrame || this.isProximityPaused) return;
+        this.proximityFrame = requestAnimationFrame(this.updateProximity);
+    }
+
+    updateProximity() {
+        this.proximityFrame = null;
+
+        // Read (only when layout changed)
+        if (this.proximityRectsDirty) {
+            const scrollX = window.scrollX;
+            const scrollY = window.scrollY;
+
+            this.proximityElements.forEach(item => {
+                const rect = item.element.getBoundingClientRect();
+                item.rect = {
+                    left: rect.left + scrollX,
+                    top: rect.top + scrollY,
+                    right: rect.right + scrollX,
+                    bottom: rect.bottom + scrollY
+                };
+            });
+            this.proximityRectsDirty = false;
+        }
+
+        // Compute against the cached rects in page coordinates
+        const pointerX = this.proximityPointer.x + window.scrollX;
+        const pointerY = this.proximityPointer.y + window.scrollY;
+
+        // Write (only what changed)
+        this.proximityElements.forEach(item => {
+            const intensity = this.proximityPointer.isInside
+                ? this.getProximityIntensity(item, pointerX, pointerY)
+                : 0;
+
+            if (intensity > 0) {
+                this.applyProximityEffect(item, intensity, this.getLightPosition(item.rect, pointerX, pointerY));
+            } else if (item.intensity > 0) {
+                this.removeProximityEffect(item);
             }
         });
     }
 
-    applyProximityEffect(element, intensity) {
-        element.style.setProperty('--proximity-intensity', intensity);
-        element.classList.add('ember-proximity');
+    getProximityIntensity({ element, rect }, x, y) {
+        const radius = parseFloat(element.dataset.proximityRadius) || this.proximityThreshold;
+        const falloff = PROXIMITY_FALLOFF[element.dataset.proximityFalloff] || PROXIMITY_FALLOFF[PROXIMITY_CONFIG.falloff];
+
+        // Distance to the element's edges (0 over it)
+        const dx = Math.max(rect.left - x, 0, x - rect.right);
+        const dy = Math.max(rect.top - y, 0, y - rect.bottom);
+        const distance = Math.hypot(dx, dy);
+
+        if (distance >= radius) return 0;
+
+        // Two decimals is finer than the eye can tell and skips most writes
+        return Math.round(falloff(1 - distance / radius) * 100) / 100;
+    }
+
+    /**
+     * Light position relative to an element, rounded to whole px/deg.
+     * angle is a CSS gradient angle pointing from the center toward the light.
+     */
+    getLightPosition(rect, x, y) {
+        const dx = x - (rect.left + rect.right) / 2;
+        const dy = y - (rect.top + rect.bottom) / 2;
 
-        // Dynamic lighting based on distance
-        const lightIntensity = intensity * 0.3;
-        element.style.filter = `brightness(${1 + lightIntensity}) contrast(${1 + lightIntensity * 0.5})`;
+        return {
+            x: Math.round(x - rect.left),
+            y: Math.round(y - rect.top),
+            angle: Math.round((Math.atan2(dx, -dy) * 180 / Math.PI + 360) % 360),
+            distance: Math.round(Math.hypot(dx, dy))
+        };
     }
 
-    removeProximityEffect(element) {
+    applyProximityEffect(item, intensity, light) {
+        const { element } = item;
+
+        // Brightness, contrast and the directional highlights follow these in premium-polish.css
+        if (intensity !== item.intensity) {
+            element.style.setProperty('--proximity-intensity', intensity);
+            element.classList.add('ember-proximity');
+            item.intensity = intensity;
+        }
+
+        const last = item.light;
+        if (last && last.x === light.x && last.y === light.y && last.angle === light.angle && last.distance === light.distance) {
+            return;
+        }
+
+        element.style.setProperty('--light-x', `${light.x}px`);
+        element.style.setProperty('--light-y', `${light.y}px`);
+        element.style.setProperty('--light-angle', `${light.angle}deg`);
+        element.style.setProperty('--light-distance', `${light.distance}px`);
+        item.light = light;
+    }
+
+    removeProximityEffect(item) {
+        const { element } = item;
+
         element.style.removeProperty('--proximity-intensity');
+        element.style.removeProperty('--light-x');
+        element.style.removeProperty('--light-y');
+        element.style.removeProperty('--light-angle');
+        element.style.removeProperty('--light-distance');
         element.classList.remove('ember-proximity');
-        element.style.filter = '';
+
+        item.intensity = 0;
+        item.light = null;
     }
 
     addProximityGlow(element) {
@@ -161,11 +341,28 @@ class TripleAPolish {
             overflow: hidden;
         `;
         document.body.appendChild(particleContainer);
+        this.ambientContainer = particleContainer;
 
         // Create ambient particles with varying properties
-        for (let i = 0; i < 20; i++) {
-            this.createAmbientParticle(particleContainer, i);
+        this.syncAmbientParticles();
+    }
+
+    setAmbientParticleCount(count) {
+        this.ambientParticleCount = Math.max(0, Math.floor(count));
+        this.syncAmbientParticles();
+    }
+
+    syncAmbientParticles() {
+        if (!this.ambientContainer) return;
+
+        // Reduced motion keeps the tier's count for when motion comes back
+        const count = this.isReducedMotion ? 0 : this.ambientParticleCount;
+
+        while (this.ambientParticles.length < count) {
+            this.createAmbientParticle(this.ambientContainer, this.ambientParticles.length);
         }
+
+        this.ambientParticles.splice(count).forEach(particle => particle.remove());
     }
 
     createAmbientParticle(container, index) {
@@ -261,6 +458,8 @@ class TripleAPolish {
     }
 
     createRippleEffect(e, button) {
+        if (this.isReducedMotion) return;
+
         const rect = button.getBoundingClientRect();
         const size = Math.max(rect.width, rect.height);
         const x = e.clientX - rect.left - size / 2;
@@ -350,19 +549,20 @@ class TripleAPolish {
         // Throttled scroll and mouse events
         this.throttle = this.createThrottle();
 
-        // Disable heavy effects on mobile/low-end devices
-        if (this.isLowEndDevice()) {
+        // Ambient density follows the quality governor's tier (low-end devices start low)
+        if (window.soulstickBus) {
+            this.unsubscribers.push(
+                soulstickBus.on(SoulstickEvents.PERFORMANCE_TIER_CHANGE, ({ settings }) => {
+                    if (settings) this.setAmbientParticleCount(settings.ambientParticles);
+                }, { replay: true }),
+                soulstickBus.on(SoulstickEvents.MOTION_PREFERENCE_CHANGE, ({ reduced }) => {
+                    this.isReducedMotion = reduced;
+                    this.syncAmbientParticles();
+                })
+            );
+        } else if (this.isLowEndDevice()) {
             this.enablePerformanceMode();
         }
-
-        // Page visibility optimization
-        document.addEventListener('visibilitychange', () => {
-            if (document.hidden) {
-                this.pauseAnimations();
-            } else {
-                this.resumeAnimations();
-            }
-        });
     }
 
     createThrottle() {
@@ -384,16 +584,25 @@ class TripleAPolish {
 
     enablePerformanceMode() {
         document.body.classList.add('performance-mode');
-        this.ambientParticles.forEach(particle => particle.remove());
-        this.ambientParticles = [];
+        this.setAmbientParticleCount(0);
     }
 
     pauseAnimations() {
         document.body.style.animationPlayState = 'paused';
+
+        this.isProximityPaused = true;
+        if (this.proximityFrame) {
+            cancelAnimationFrame(this.proximityFrame);
+            this.proximityFrame = null;
+        }
     }
 
     resumeAnimations() {
         document.body.style.animationPlayState = 'running';
+
+        // Layout may have changed while hidden
+        this.isProximityPaused = false;
+        this.refreshProximityRects();
     }
 
     /* ============================================
@@ -405,23 +614,55 @@ class TripleAPolish {
             this.intersectionObserver.disconnect();
         }
 
+        if (this.proximityElements.length) {
+            document.removeEventListener('mousemove', this.handleCursorProximity);
+            document.removeEventListener('mouseleave', this.handleProximityPointerLeave);
+            window.removeEventListener('scroll', this.handleProximityLayoutChange);
+            window.removeEventListener('resize', this.handleProximityLayoutChange);
+            document.removeEventListener('transitionend', this.handleProximityTransitionEnd);
+            if (this.proximityFrame) cancelAnimationFrame(this.proximityFrame);
+            this.proximityElements.forEach(({ overlay }) => overlay?.remove());
+        }
+
         this.ambientParticles.forEach(particle => particle.remove());
         document.querySelector('.ambient-particles-container')?.remove();
 
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+
         console.log('🎮 Triple-A Polish System Destroyed');
     }
 
     // Public methods for external control
+    /**
+     * Default reach in px from an element's edges (data-proximity-radius overrides it).
+     */
     setProximityThreshold(threshold) {
         this.proximityThreshold = threshold;
+        this.requestProximityUpdate();
+    }
+
+    /**
+     * 'pointer' lights from the raw mouse; 'ember' follows the EmberCursor
+     * (its frame timing, and touch trails too).
+     */
+    setLightSource(source) {
+        this.lightSource = source === 'ember' ? 'ember' : 'pointer';
+        this.requestProximityUpdate();
     }
 
     enableCinematicMode() {
+        // Graded, vignetted, grainy atmosphere render; the class stays as a styling hook
         document.body.classList.add('cinematic-mode');
+        if (window.soulstickBus) {
+            soulstickBus.emit(SoulstickEvents.RENDER_MODE_CHANGE, { mode: 'cinematic' });
+        }
     }
 
     disableCinematicMode() {
         document.body.classList.remove('cinematic-mode');
+        if (window.soulstickBus) {
+            soulstickBus.emit(SoulstickEvents.RENDER_MODE_CHANGE, { mode: 'standard' });
+        }
     }
 }
 
@@ -438,41 +679,11 @@ polishStyles.textContent = `
     .performance-mode .chromatic-aberration::after {
         display: none !important;
     }
-    
-    .cinematic-mode {
-        filter: contrast(1.1) saturate(1.2);
-    }
+
 `;
 document.head.appendChild(polishStyles);
 
-// Auto-initialize when DOM is ready
-if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        window.tripleAPolish = new TripleAPolish();
-    });
-} else {
-    window.tripleAPolish = new TripleAPolish();
-}
-
-// Export for manual initialization
+// Export for registration with SoulstickApp's system registry
+window.PROXIMITY_CONFIG = PROXIMITY_CONFIG;
+window.PROXIMITY_FALLOFF = PROXIMITY_FALLOFF;
 window.TripleAPolish = TripleAPolish;
-
-/* ============================================
-   GLOBAL UTILITIES
-   ============================================ */
-window.handleFormSubmit = function (event) {
-    event.preventDefault();
-    const form = event.target;
-    const name = form.querySelector('input[name="name"]').value;
-    const email = form.querySelector('input[name="email"]').value;
-    const message = form.querySelector('textarea[name="message"]').value;
-
-    const subject = encodeURIComponent(`Inquiry from Soulstick Website: ${name}`);
-    const body = encodeURIComponent(
-        `Name: ${name}\n` +
-        `Email: ${email}\n\n` +
-        `Message:\n${message}`
-    );
-
-    window.location.href = `mailto:soulstickinteractive@gmail.com?subject=${subject}&body=${body}`;
-};
@@ -3,49 +3,128 @@
    Performance-optimized Three.js ambient effects
    ============================================ */
 
+/* The renderers live in atmosphere-scene.js (WebGL2/WebGL1) and
+   atmosphere-canvas2d.js. When the browser can hand a canvas to a worker
+   (OffscreenCanvas), they run in atmosphere-worker.js and this class only
+   forwards input, theme, scroll and quality state; otherwise they run here on
+   the main thread. Backends are tried in ATMOSPHERE_BACKENDS order, ending
+   with a static CSS gradient. */
 class WebGLAtmosphere {
-    constructor() {
+    constructor(options = {}) {
+        this.options = {
+            useWorker: true,
+            workerUrl: './scripts/atmosphere-worker.js',
+            backends: ATMOSPHERE_BACKENDS,  // Fallback chain to try, best first
+            contextRestoreTimeout: 3000,    // ms to wait for a lost context before rebuilding
+            maxContextLosses: 2,            // Losses before stepping down to the next backend
+            ...options
+        };
+
         this.canvas = null;
-        this.scene = null;
-        this.camera = null;
-        this.renderer = null;
-        this.particles = null;
-        this.mouse = { x: 0, y: 0 };
-        this.time = 0;
+        this.atmosphereScene = null;    // Main-thread renderer
+        this.worker = null;             // Offscreen renderer
+        this.renderMode = null;         // 'worker' | 'main'
+        this.workerStats = null;        // Latest stats posted by the worker
         this.isInitialized = false;
-        this.isSupported = this.checkWebGLSupport();
-        this.frameCount = 0;
-        this.targetFPS = 60;
-        this.frameInterval = 1000 / this.targetFPS;
-        this.lastFrameTime = 0;
+
+        // Remaining fallback chain (active backend first) and context-loss recovery
+        this.backends = this.detectBackends();
+        this.backend = null;
+        this.isSupported = this.backends.some(backend => backend.startsWith('webgl'));
+        this.contextLossCount = 0;
+        this.restoreTimeout = null;
+        this.unsubscribers = [];
+
+        // Render loop gating
+        this.isRunning = true;      // Cleared by pause()
+        this.isOnScreen = true;     // Tracked by IntersectionObserver
+        this.isStatic = false;      // Static quality tier
+        this.isReducedMotion = false; // MotionPreference: keep a still frame
+        this.visibilityObserver = null;
+
+        // Theme palette (read from CSS custom properties, cross-faded by the scene)
+        this.palette = null;
+        this.colorParser = null;
+
+        // State mirrored into the scene, kept here so a fallback renderer can resume it
+        this.baseIntensity = 1;
+        this.scrollProgress = 0;
+        this.activeSection = null;
+        this.particlePreset = 'classic';
+        this.maxPixelRatio = 2;
+        this.postProcessing = {};   // Passes the quality tier allows
+        this.postOverrides = {};    // Passes toggled through setPostProcessing()
+        this.cinematic = false;
+
+        // Bind methods once so listeners can be removed
+        this.handleResize = this.handleResize.bind(this);
+        this.handleMouseMove = this.handleMouseMove.bind(this);
+        this.handleMouseDown = this.handleMouseDown.bind(this);
+        this.handlePointerLeave = this.handlePointerLeave.bind(this);
+        this.handleTouch = this.handleTouch.bind(this);
+        this.handleTouchEnd = this.handleTouchEnd.bind(this);
+        this.handleWorkerMessage = this.handleWorkerMessage.bind(this);
+        this.handleWorkerError = this.handleWorkerError.bind(this);
+        this.handleRendererStatus = this.handleRendererStatus.bind(this);
 
         // Performance settings
         this.particleCount = this.getParticleCount();
         this.quality = this.getQualityLevel();
 
-        if (this.isSupported) {
-            this.init();
-        } else {
-            this.createFallback();
-        }
+        this.init();
     }
 
-    checkWebGLSupport() {
+    detectBackends() {
+        // Each probe gets its own canvas: a canvas keeps the first context type it hands out
+        const probe = (...types) => {
+            try {
+                const canvas = document.createElement('canvas');
+                const context = types.map(type => canvas.getContext(type)).find(Boolean);
+                if (context && context.getExtension) {
+                    const loseContext = context.getExtension('WEBGL_lose_context');
+                    if (loseContext) loseContext.loseContext();
+                }
+                return !!context;
+            } catch (e) {
+                return false;
+            }
+        };
+
+        const supported = {
+            webgl2: probe('webgl2'),
+            webgl1: probe('webgl', 'experimental-webgl'),
+            canvas2d: probe('2d'),
+            css: true
+        };
+
+        return this.options.backends.filter(backend => supported[backend]);
+    }
+
+    checkOffscreenSupport(backend) {
+        if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') return false;
+        if (!('transferControlToOffscreen' in HTMLCanvasElement.prototype)) return false;
+
+        // Some browsers ship OffscreenCanvas with 2D support only
+        const contextType = { webgl2: 'webgl2', webgl1: 'webgl', canvas2d: '2d' }[backend];
         try {
-            const canvas = document.createElement('canvas');
-            const gl = canvas.getContext('webgl') || canvas.getContext('experimental-webgl');
-            return !!gl;
+            return !!contextType && !!new OffscreenCanvas(1, 1).getContext(contextType);
         } catch (e) {
             return false;
         }
     }
 
     getParticleCount() {
+        // Prefer the quality governor's current tier so we don't allocate twice
+        const tierChange = window.soulstickBus && soulstickBus.getLast(SoulstickEvents.PERFORMANCE_TIER_CHANGE);
+        if (tierChange && tierChange.settings) {
+            return tierChange.settings.particleCount;
+        }
+
         const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
         const isLowEnd = navigator.hardwareConcurrency <= 4;
 
-        if (isMobile || isLowEnd) return 50;
-        return window.innerWidth > 1920 ? 150 : 100;
+        if (isMobile || isLowEnd) return 400;
+        return window.innerWidth > 1920 ? 2500 : 1200;
     }
 
     getQualityLevel() {
@@ -64,336 +143,519 @@ class WebGLAtmosphere {
             return;
         }
 
-        this.setupScene();
-        this.setupCamera();
-        this.setupRenderer();
-        this.setupParticles();
-        this.setupLights();
+        this.palette = this.readPalette();
+        this.maxPixelRatio = this.quality === 'high' ? 2 : 1;
+
+        this.startRenderer();
         this.bindEvents();
-        this.startRenderLoop();
 
         this.isInitialized = true;
+        this.subscribeToEvents();
+        this.observeVisibility();
+        this.updateAnimation();
         console.log('🌌 WebGL atmospheric background initialized');
     }
 
-    setupScene() {
-        this.scene = new THREE.Scene();
-        this.scene.fog = new THREE.Fog(0x050505, 5, 15);
+    getSceneOptions() {
+        return {
+            width: window.innerWidth,
+            height: window.innerHeight,
+            devicePixelRatio: window.devicePixelRatio || 1,
+            maxPixelRatio: this.maxPixelRatio,
+            antialias: this.quality !== 'low',
+            palette: this.palette,
+            particleCount: this.particleCount,
+            particlePreset: this.particlePreset,
+            baseIntensity: this.baseIntensity,
+            scrollProgress: this.scrollProgress,
+            activeSection: this.activeSection,
+            postProcessing: this.postProcessing,
+            postOverrides: this.postOverrides,
+            cinematic: this.cinematic
+        };
+    }
 
-        // Ambient background gradient
-        const bgGeometry = new THREE.PlaneGeometry(2, 2, 1, 1);
-        const bgMaterial = new THREE.ShaderMaterial({
-            vertexShader: `
-                void main() {
-                    gl_Position = vec4(position, 1.0);
-                }
-            `,
-            fragmentShader: `
-                uniform vec2 u_resolution;
-                uniform float u_time;
-                
-                void main() {
-                    vec2 st = gl_FragCoord.xy / u_resolution.xy;
-                    
-                    // Radial gradient from center
-                    vec2 center = vec2(0.5, 0.4);
-                    float dist = distance(st, center);
-                    
-                    // Blue glow colors  
-                    vec3 emberCore = vec3(0.12, 0.22, 0.54);  // #1e3a8a (dark blue)
-                    vec3 emberGlow = vec3(0.38, 0.51, 0.96);  // #60a5fa (light blue)
-                    vec3 voidColor = vec3(0.02, 0.02, 0.02); // #050505
-                    
-                    // Animated glow
-                    float pulse = sin(u_time * 0.5) * 0.1 + 0.9;
-                    float glow = exp(-dist * 3.0) * 0.3 * pulse;
-                    
-                    vec3 color = mix(voidColor, emberGlow, glow);
-                    
-                    gl_FragColor = vec4(color, 1.0);
-                }
-            `,
-            uniforms: {
-                u_resolution: { value: new THREE.Vector2(window.innerWidth, window.innerHeight) },
-                u_time: { value: 0 }
-            }
-        });
+    /* ============================================
+       RENDERER BACKENDS
+       ============================================ */
+
+    startRenderer() {
+        const renderers = this.backends.filter(backend => backend !== 'css');
+        if (!renderers.length) {
+            this.createFallback();
+            return;
+        }
 
-        const bgMesh = new THREE.Mesh(bgGeometry, bgMaterial);
-        this.scene.add(bgMesh);
-        this.bgMaterial = bgMaterial;
+        const startedWorker = this.options.useWorker && this.checkOffscreenSupport(renderers[0]) && this.startWorker();
+        if (!startedWorker) {
+            this.startMainThread();
+        }
     }
 
-    setupCamera() {
-        this.camera = new THREE.PerspectiveCamera(
-            75,
-            window.innerWidth / window.innerHeight,
-            0.1,
-            1000
-        );
-        this.camera.position.z = 5;
+    startWorker() {
+        try {
+            this.worker = new Worker(this.options.workerUrl);
+        } catch (error) {
+            // e.g. file:// pages, where workers are blocked
+            console.warn('Atmosphere worker unavailable, rendering on the main thread:', error.message);
+            return false;
+        }
+
+        this.worker.addEventListener('message', this.handleWorkerMessage);
+        this.worker.addEventListener('error', this.handleWorkerError);
+
+        // After the transfer only the worker can draw into this canvas
+        const offscreen = this.canvas.transferControlToOffscreen();
+        this.worker.postMessage({
+            type: 'init',
+            canvas: offscreen,
+            options: this.getSceneOptions(),
+            backends: this.backends
+        }, [offscreen]);
+
+        // The backend is known once the worker reports 'ready'
+        this.renderMode = 'worker';
+        return true;
     }
 
-    setupRenderer() {
-        this.renderer = new THREE.WebGLRenderer({
-            canvas: this.canvas,
-            alpha: false,
-            antialias: this.quality !== 'low',
-            powerPreference: 'high-performance'
+    startMainThread() {
+        this.renderMode = 'main';
+        // Each fallback attempt gets a fresh canvas (see createAtmosphereRenderer)
+        this.atmosphereScene = createAtmosphereRenderer(this.canvas, this.getSceneOptions(), this.backends, () => {
+            this.replaceCanvas();
+            return this.canvas;
         });
 
-        this.renderer.setSize(window.innerWidth, window.innerHeight);
-        this.renderer.setPixelRatio(this.quality === 'high' ? Math.min(window.devicePixelRatio, 2) : 1);
-        this.renderer.setClearColor(0x050505);
-
-        // Performance optimizations
-        this.renderer.shadowMap.enabled = false;
-        this.renderer.outputColorSpace = THREE.LinearSRGBColorSpace;
-    }
-
-    setupParticles() {
-        const geometry = new THREE.BufferGeometry();
-        const positions = new Float32Array(this.particleCount * 3);
-        const velocities = new Float32Array(this.particleCount * 3);
-        const sizes = new Float32Array(this.particleCount);
-        const colors = new Float32Array(this.particleCount * 3);
-
-        // Initialize particle attributes
-        for (let i = 0; i < this.particleCount; i++) {
-            const i3 = i * 3;
-
-            // Random positions in a large sphere
-            positions[i3] = (Math.random() - 0.5) * 20;
-            positions[i3 + 1] = (Math.random() - 0.5) * 20;
-            positions[i3 + 2] = (Math.random() - 0.5) * 20;
-
-            // Gentle floating velocities
-            velocities[i3] = (Math.random() - 0.5) * 0.02;
-            velocities[i3 + 1] = Math.random() * 0.01 + 0.005;
-            velocities[i3 + 2] = (Math.random() - 0.5) * 0.02;
-
-            // Varying sizes
-            sizes[i] = Math.random() * 0.03 + 0.01;
-
-            // Ember color variations
-            const isEmber = Math.random() < 0.7;
-            if (isEmber) {
-                colors[i3] = 1.0;     // Red
-                colors[i3 + 1] = 0.42 + Math.random() * 0.23; // Green (orange range)
-                colors[i3 + 2] = 0.28; // Blue
-            } else {
-                colors[i3] = 1.0;     // Red
-                colors[i3 + 1] = 0.65; // Green (amber)
-                colors[i3 + 2] = 0.15; // Blue
-            }
+        if (!this.atmosphereScene) {
+            this.createFallback();
+            return;
         }
 
-        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
-        geometry.setAttribute('velocity', new THREE.BufferAttribute(velocities, 3));
-        geometry.setAttribute('size', new THREE.BufferAttribute(sizes, 1));
-        geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3));
-
-        // Particle shader material
-        const material = new THREE.ShaderMaterial({
-            vertexShader: `
-                attribute float size;
-                attribute vec3 color;
-                
-                varying vec3 vColor;
-                
-                void main() {
-                    vColor = color;
-                    
-                    vec4 mvPosition = modelViewMatrix * vec4(position, 1.0);
-                    gl_PointSize = size * (300.0 / -mvPosition.z);
-                    gl_Position = projectionMatrix * mvPosition;
-                }
-            `,
-            fragmentShader: `
-                varying vec3 vColor;
-                
-                void main() {
-                    vec2 center = gl_PointCoord - 0.5;
-                    float dist = length(center);
-                    
-                    if (dist > 0.5) discard;
-                    
-                    float alpha = 1.0 - smoothstep(0.0, 0.5, dist);
-                    alpha *= 0.8;
-                    
-                    gl_FragColor = vec4(vColor, alpha);
-                }
-            `,
-            transparent: true,
-            blending: THREE.AdditiveBlending,
-            depthWrite: false
-        });
-
-        this.particles = new THREE.Points(geometry, material);
-        this.scene.add(this.particles);
+        this.atmosphereScene.onStatus = this.handleRendererStatus;
+        this.setBackend(this.atmosphereScene.backend);
     }
 
-    setupLights() {
-        // Minimal lighting for performance
-        const ambientLight = new THREE.AmbientLight(0xff6b47, 0.1);
-        this.scene.add(ambientLight);
-    }
+    setBackend(backend) {
+        this.backend = backend;
 
-    bindEvents() {
-        window.addEventListener('resize', this.handleResize.bind(this), { passive: true });
-        document.addEventListener('mousemove', this.handleMouseMove.bind(this), { passive: true });
+        // Rebuilds never retry backends that already failed here
+        const index = this.backends.indexOf(backend);
+        if (index > 0) {
+            this.backends = this.backends.slice(index);
+        }
 
-        // Visibility API for performance
-        document.addEventListener('visibilitychange', this.handleVisibilityChange.bind(this));
+        console.log(`🌌 Atmosphere rendering with ${backend} (${this.renderMode || 'no'} thread)`);
     }
 
-    handleMouseMove(event) {
-        this.mouse.x = (event.clientX / window.innerWidth) * 2 - 1;
-        this.mouse.y = -(event.clientY / window.innerHeight) * 2 + 1;
+    handleWorkerMessage({ data }) {
+        if (data.type === 'ready') {
+            this.setBackend(data.backend);
+        } else if (data.type === 'stats') {
+            this.workerStats = data.stats;
+        } else if (data.type === 'status') {
+            this.handleRendererStatus(data.status);
+        } else if (data.type === 'error') {
+            this.fallBackToMainThread(data.message);
+        }
     }
 
-    handleResize() {
-        if (!this.isInitialized) return;
+    handleWorkerError(event) {
+        // Script load or runtime failure inside the worker
+        event.preventDefault();
+        this.fallBackToMainThread(event.message);
+    }
 
-        const width = window.innerWidth;
-        const height = window.innerHeight;
+    fallBackToMainThread(reason) {
+        if (this.renderMode !== 'worker') return;
+        console.warn('Atmosphere worker failed, rendering on the main thread:', reason);
 
-        this.camera.aspect = width / height;
-        this.camera.updateProjectionMatrix();
+        this.terminateWorker();
 
-        this.renderer.setSize(width, height);
+        // A transferred canvas can never get a context here
+        this.replaceCanvas();
+        this.startMainThread();
+        this.updateAnimation();
+    }
 
-        if (this.bgMaterial) {
-            this.bgMaterial.uniforms.u_resolution.value.set(width, height);
+    /* ============================================
+       CONTEXT LOSS RECOVERY
+       ============================================ */
+
+    handleRendererStatus(status) {
+        if (status === 'contextlost') {
+            this.contextLossCount++;
+            console.warn('⚠️ Atmosphere WebGL context lost, waiting for restore');
+
+            // Browsers don't always restore (driver resets, too many contexts); rebuild ourselves
+            clearTimeout(this.restoreTimeout);
+            this.restoreTimeout = setTimeout(() => this.rebuildRenderer(), this.options.contextRestoreTimeout);
+        } else if (status === 'contextrestored') {
+            clearTimeout(this.restoreTimeout);
+            this.restoreTimeout = null;
+            console.log('🌌 Atmosphere WebGL context restored');
         }
     }
 
-    handleVisibilityChange() {
-        if (document.hidden) {
-            this.pause();
-        } else {
-            this.resume();
+    rebuildRenderer() {
+        this.restoreTimeout = null;
+
+        // A backend that keeps losing its context isn't stable on this device
+        if (this.contextLossCount >= this.options.maxContextLosses) {
+            console.warn(`Atmosphere ${this.backend} backend keeps losing its context, stepping down`);
+            this.backends = this.backends.slice(1);
+            this.contextLossCount = 0;
         }
+
+        this.teardownRenderer();
+        this.replaceCanvas();
+        this.startRenderer();
+        this.updateAnimation();
     }
 
-    updateParticles(deltaTime) {
-        if (!this.particles) return;
+    teardownRenderer() {
+        this.terminateWorker();
 
-        const positions = this.particles.geometry.attributes.position;
-        const velocities = this.particles.geometry.attributes.velocity;
+        if (this.atmosphereScene) {
+            this.atmosphereScene.onStatus = null;
+            this.atmosphereScene.dispose();
+            this.atmosphereScene = null;
+        }
 
-        for (let i = 0; i < this.particleCount; i++) {
-            const i3 = i * 3;
+        this.backend = null;
+        this.renderMode = null;
+    }
 
-            // Apply velocities
-            positions.array[i3] += velocities.array[i3] * deltaTime;
-            positions.array[i3 + 1] += velocities.array[i3 + 1] * deltaTime;
-            positions.array[i3 + 2] += velocities.array[i3 + 2] * deltaTime;
+    replaceCanvas() {
+        // Fresh element, fresh context: transferred or lost canvases can't be reused
+        const canvas = this.canvas.cloneNode(false);
+        this.canvas.replaceWith(canvas);
+        this.canvas = canvas;
 
-            // Wrap particles around the scene
-            if (positions.array[i3 + 1] > 10) {
-                positions.array[i3 + 1] = -10;
-                positions.array[i3] = (Math.random() - 0.5) * 20;
-                positions.array[i3 + 2] = (Math.random() - 0.5) * 20;
-            }
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+            this.visibilityObserver.observe(canvas);
         }
+    }
+
+    terminateWorker() {
+        if (!this.worker) return;
 
-        positions.needsUpdate = true;
+        this.worker.removeEventListener('message', this.handleWorkerMessage);
+        this.worker.removeEventListener('error', this.handleWorkerError);
+        this.worker.postMessage({ type: 'destroy' });
+        this.worker.terminate();
+        this.worker = null;
+        this.workerStats = null;
+    }
 
-        // Subtle mouse interaction
-        if (this.mouse.x !== 0 || this.mouse.y !== 0) {
-            this.particles.rotation.y += (this.mouse.x * 0.1 - this.particles.rotation.y) * 0.05;
-            this.particles.rotation.x += (this.mouse.y * 0.1 - this.particles.rotation.x) * 0.05;
+    /**
+     * Call an AtmosphereScene method on whichever thread owns the scene.
+     * Arguments must be structured-cloneable.
+     */
+    send(method, ...args) {
+        if (this.worker) {
+            this.worker.postMessage({ type: 'call', method, args });
+        } else if (this.atmosphereScene) {
+            this.atmosphereScene[method](...args);
         }
     }
 
-    render() {
-        if (!this.isInitialized || !this.renderer) return;
+    bindEvents() {
+        window.addEventListener('resize', this.handleResize, { passive: true });
+        document.addEventListener('mousemove', this.handleMouseMove, { passive: true });
+        document.addEventListener('mousedown', this.handleMouseDown, { passive: true });
+        document.documentElement.addEventListener('mouseleave', this.handlePointerLeave, { passive: true });
+
+        // Touch drives the same field (passive, never blocks scrolling)
+        document.addEventListener('touchstart', this.handleTouch, { passive: true });
+        document.addEventListener('touchmove', this.handleTouch, { passive: true });
+        document.addEventListener('touchend', this.handleTouchEnd, { passive: true });
+        document.addEventListener('touchcancel', this.handleTouchEnd, { passive: true });
+    }
+
+    observeVisibility() {
+        if (!('IntersectionObserver' in window)) return;
 
-        const deltaTime = this.time * 0.016; // Approximate 60fps
-        this.time++;
+        // Stop requesting frames while the canvas is hidden or scrolled away
+        this.visibilityObserver = new IntersectionObserver((entries) => {
+            this.isOnScreen = entries[entries.length - 1].isIntersecting;
+            this.updateAnimation();
+        });
+        this.visibilityObserver.observe(this.canvas);
+    }
 
-        // Update background shader
-        if (this.bgMaterial) {
-            this.bgMaterial.uniforms.u_time.value = this.time * 0.01;
+    subscribeToEvents() {
+        if (!window.soulstickBus) return;
+
+        this.unsubscribers.push(
+            // Glow, gradient center and density follow scroll progress...
+            soulstickBus.on(SoulstickEvents.SCROLL_PROGRESS, ({ progress }) => {
+                this.scrollProgress = progress;
+                this.send('setScrollProgress', progress);
+            }, { replay: true }),
+            // ...and the preset of the section in view
+            soulstickBus.on(SoulstickEvents.SECTION_ENTER, ({ section }) => {
+                this.activeSection = section;
+                this.send('setActiveSection', section);
+            }),
+            soulstickBus.on(SoulstickEvents.SECTION_LEAVE, ({ section }) => {
+                if (this.activeSection === section) {
+                    this.activeSection = null;
+                    this.send('setActiveSection', null);
+                }
+            }),
+            soulstickBus.on(SoulstickEvents.PERFORMANCE_TIER_CHANGE, ({ settings }) => {
+                if (settings) this.applyQuality(settings);
+            }, { replay: true }),
+            soulstickBus.on(SoulstickEvents.RENDER_MODE_CHANGE, ({ mode }) => {
+                this.setCinematicMode(mode === 'cinematic');
+            }, { replay: true }),
+            soulstickBus.on(SoulstickEvents.MOTION_PREFERENCE_CHANGE, ({ reduced }) => {
+                this.isReducedMotion = reduced;
+                this.updateAnimation();
+            }, { replay: true }),
+            // data-theme has already changed when this fires, so computed styles are current
+            soulstickBus.on(SoulstickEvents.THEME_CHANGE, () => {
+                this.palette = this.readPalette();
+                this.send('setPalette', this.palette);
+                if (this.backend === 'css') this.applyFallbackGradient();
+            })
+        );
+    }
+
+    /* ============================================
+       THEME PALETTE
+       ============================================ */
+
+    readPalette() {
+        const styles = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => this.parseColor(styles.getPropertyValue(name).trim() || fallback);
+
+        return {
+            void: read('--atmosphere-void', '#050505'),
+            core: read('--atmosphere-core', '#1e3a8a'),
+            glow: read('--atmosphere-glow', '#60a5fa'),
+            emberStart: read('--atmosphere-ember-start', '#ffa726'),
+            emberEnd: read('--atmosphere-ember-end', '#ff6b47'),
+            // Additive embers vanish on light backgrounds
+            additive: styles.getPropertyValue('--atmosphere-blend').trim() !== 'normal'
+        };
+    }
+
+    parseColor(value) {
+        // Let the browser normalize any CSS color to #rrggbb or rgb(a)()
+        if (!this.colorParser) {
+            this.colorParser = document.createElement('canvas').getContext('2d');
+        }
+        this.colorParser.fillStyle = '#000000';
+        this.colorParser.fillStyle = value;
+        const normalized = this.colorParser.fillStyle;
+
+        if (normalized.startsWith('#')) {
+            return [1, 3, 5].map(i => parseInt(normalized.slice(i, i + 2), 16) / 255);
         }
 
-        this.updateParticles(deltaTime);
-        this.renderer.render(this.scene, this.camera);
+        const channels = normalized.match(/[\d.]+/g) || [0, 0, 0];
+        return channels.slice(0, 3).map(channel => parseFloat(channel) / 255);
     }
 
-    update() {
-        // Centralized update method
+    applyQuality(settings) {
+        if (!this.isInitialized) return;
+
+        this.particleCount = settings.particleCount;
+        this.maxPixelRatio = settings.pixelRatio;
+        this.postProcessing = settings.postProcessing || {};
+        this.send('setQuality', {
+            particleCount: this.particleCount,
+            pixelRatio: this.maxPixelRatio,
+            postProcessing: this.postProcessing
+        });
+
+        // Static tier: keep the last rendered frame on screen
+        this.isStatic = !settings.animateAtmosphere;
+        this.updateAnimation();
     }
 
-    startRenderLoop() {
-        const animate = (currentTime) => {
-            requestAnimationFrame(animate);
+    /* ============================================
+       POINTER INPUT
+       ============================================ */
 
-            // Frame rate limiting
-            if (currentTime - this.lastFrameTime >= this.frameInterval) {
-                this.render();
-                this.lastFrameTime = currentTime;
-                this.frameCount++;
-            }
-        };
-        animate(0);
+    toNDC(clientX, clientY) {
+        return [
+            (clientX / window.innerWidth) * 2 - 1,
+            -(clientY / window.innerHeight) * 2 + 1
+        ];
+    }
+
+    handleMouseMove(event) {
+        this.send('movePointer', ...this.toNDC(event.clientX, event.clientY));
+    }
+
+    handleMouseDown(event) {
+        this.send('triggerBurst', ...this.toNDC(event.clientX, event.clientY));
+    }
+
+    handlePointerLeave() {
+        this.send('releasePointer');
+    }
+
+    handleTouch(event) {
+        const touch = event.touches[0];
+        if (!touch) return;
+
+        const [x, y] = this.toNDC(touch.clientX, touch.clientY);
+        this.send(event.type === 'touchstart' ? 'triggerBurst' : 'movePointer', x, y);
+    }
+
+    handleTouchEnd(event) {
+        if (!event.touches.length) {
+            this.send('releasePointer');
+        }
+    }
+
+    handleResize() {
+        if (!this.isInitialized) return;
+        this.send('resize', window.innerWidth, window.innerHeight, window.devicePixelRatio || 1);
+    }
+
+    /* ============================================
+       RENDER LOOP
+       ============================================ */
+
+    shouldAnimate() {
+        return this.isInitialized && this.isRunning && this.isOnScreen && !this.isStatic && !this.isReducedMotion;
+    }
+
+    updateAnimation() {
+        // The scene owns the loop; this only says whether it should run
+        this.send('setAnimating', this.shouldAnimate());
     }
 
     createFallback() {
-        const canvas = document.getElementById('webgl-atmosphere');
+        const canvas = this.canvas || document.getElementById('webgl-atmosphere');
         if (!canvas) return;
 
+        this.backend = 'css';
+        this.renderMode = null;
+        this.applyFallbackGradient();
+
+        console.log('🎨 No canvas renderer available, using CSS fallback');
+    }
+
+    applyFallbackGradient() {
+        const canvas = this.canvas || document.getElementById('webgl-atmosphere');
+        if (!canvas) return;
+
+        // Same theme palette the renderers draw with, so light and high contrast apply here too
+        const { void: voidColor, core, glow } = this.palette || this.readPalette();
+        const rgba = (color, alpha) => `rgba(${color.map(channel => Math.round(channel * 255)).join(', ')}, ${alpha})`;
+
         canvas.style.background = `
-            radial-gradient(ellipse at center, 
-                rgba(30, 58, 138, 0.1) 0%, 
-                rgba(96, 165, 250, 0.05) 30%, 
-                #050505 70%
+            radial-gradient(ellipse at center,
+                ${rgba(core, 0.1)} 0%,
+                ${rgba(glow, 0.05)} 30%,
+                ${rgba(voidColor, 1)} 70%
             )
         `;
-
-        console.log('🎨 WebGL not supported, using CSS fallback');
     }
 
     pause() {
-        // Reduce update frequency when not visible
+        // Stop requesting frames entirely (background tab, registry pause)
         this.isRunning = false;
+        this.updateAnimation();
     }
 
     resume() {
         this.isRunning = true;
+        this.updateAnimation();
     }
 
     destroy() {
-        if (this.renderer) {
-            this.renderer.dispose();
-        }
+        this.isRunning = false;
 
-        if (this.particles) {
-            this.particles.geometry.dispose();
-            this.particles.material.dispose();
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
         }
 
+        clearTimeout(this.restoreTimeout);
+        this.teardownRenderer();
+
         window.removeEventListener('resize', this.handleResize);
         document.removeEventListener('mousemove', this.handleMouseMove);
-        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        document.removeEventListener('mousedown', this.handleMouseDown);
+        document.documentElement.removeEventListener('mouseleave', this.handlePointerLeave);
+        document.removeEventListener('touchstart', this.handleTouch);
+        document.removeEventListener('touchmove', this.handleTouch);
+        document.removeEventListener('touchend', this.handleTouchEnd);
+        document.removeEventListener('touchcancel', this.handleTouchEnd);
+
+        this.unsubscribers.forEach(unsubscribe => unsubscribe());
+        this.unsubscribers = [];
 
         console.log('🌌 WebGL atmosphere destroyed');
     }
 
     // Public API
-    setIntensity(intensity) {
-        if (this.bgMaterial) {
-            this.bgMaterial.uniforms.u_intensity = { value: intensity };
+    getBackend() {
+        // 'webgl2' | 'webgl1' | 'canvas2d' | 'css', or null while the worker starts up
+        return this.backend;
+    }
+
+    setParticlePreset(name) {
+        if (!ATMOSPHERE_PARTICLE_PRESETS[name]) {
+            console.warn(`Unknown atmosphere particle preset "${name}"`);
+            return;
         }
+
+        this.particlePreset = name;
+        this.send('setParticlePreset', name);
+    }
+
+    /**
+     * Switch post-processing passes on or off, e.g. { grain: false }.
+     * Passes the current quality tier doesn't allow stay off.
+     */
+    setPostProcessing(passes) {
+        this.postOverrides = { ...this.postOverrides, ...passes };
+        this.send('setPostOverrides', this.postOverrides);
+    }
+
+    setCinematicMode(enabled) {
+        this.cinematic = !!enabled;
+        this.send('setCinematic', this.cinematic);
+    }
+
+    setIntensity(intensity) {
+        // Multiplier on top of the scroll/section response
+        this.baseIntensity = Math.max(0, intensity);
+        this.send('setIntensity', this.baseIntensity);
     }
 
     getStats() {
+        // Worker stats arrive asynchronously and may lag by one report
+        const sceneStats = this.atmosphereScene ? this.atmosphereScene.getStats() : this.workerStats;
+
         return {
             particleCount: this.particleCount,
+            pixelRatio: 1,
+            isAnimating: false,
+            frameCount: 0,
+            elapsedTime: 0,
+            fps: 0,
+            averageFrameTime: 0,
+            lastFrameTime: 0,
+            averageRenderTime: 0,
+            ...sceneStats,
+            backend: this.backend,
+            renderMode: this.renderMode,
+            contextLossCount: this.contextLossCount,
+            cinematic: this.cinematic,
+            particlePreset: this.particlePreset,
             quality: this.quality,
+            isStatic: this.isStatic,
             isSupported: this.isSupported,
-            isInitialized: this.isInitialized
+            isInitialized: this.isInitialized,
+            activeSection: this.activeSection
         };
     }
 }